@@ -1,7 +1,7 @@
-app = new App(function ($) {
-    var data = app.get('data');
+app.ready(function ($) {
+    var data = app.data;
 
-    // Check if DOM is already ready with jQuery passed as argument of App
+    // Check if DOM is already ready with jQuery passed as argument of ready handler
     console.info($.isReady ? 'jQuery agree with app-js, DOM is really ready.' : 'Oh shit, something went wrong...');
 
     // Get data from App storage
@@ -6,6 +6,9 @@
  * var app = new App();
  * // > Init App and process queue
  *
+ * var widget = App.create('widget', {loader: 'widgetApp'});
+ * // > Init isolated App instance and process queue of `widgetApp` loader stub
+ *
  * app.ready(function (me) {
  *   console.log('I am inside and DOM is ready', me);
  * }, $);
@@ -16,302 +19,5847 @@
  * }, $);
  * // > Shortcut for DOM ready wrapper
  *
+ * app.ready().then(function (me) { ... });
+ * // > DOM ready promise, see also `app.whenLoaded()` and `app.when('key')`
+ *
  * app.set('key', ...);
  * // > Set property to App data store
  *
  * app('key', ...);
  * // > Shortcut for set property to App data store
  *
- * App.get('key', 'defaultValue');
+ * app.get('key', 'defaultValue');
  * // > Get property from App data store
  *
  * app('key');
  * // > Shortcut for get property from App data store
  *
+ * app.has('key');
+ * // > Check property exists in App data store
+ *
+ * app.unset('key');
+ * // > Remove property from App data store
+ *
+ * app.define('name', ['dependency'], function (dependency) { ... });
+ * // > Define module
+ *
+ * app.require(['name'], function (name) { ... });
+ * // > Require modules
+ *
+ * app.schema('key', {type: 'number', required: true, default: 0});
+ * // > Validate and coerce values set to App data store
+ *
+ * app.watch('key', function (value, oldValue, path) { ... });
+ * // > Watch changes of property in App data store
+ *
+ * app.on('event.namespace', function (event, ...) { ... });
+ * // > Listen to event, see also `app.once`, `app.off` and `app.emit`
+ *
+ * app.log('info', ...);
+ * // > Log message, see also `app.logger('namespace')`
+ *
+ * app.$('selector').addClass('name').on('click', 'a', function (event) { ... });
+ * // > DOM helpers
+ *
+ * App.plugin('name', {version: '1.0.0', requires: {other: '1.2'}, install: function (App) { return {method: ...}; }});
+ * // > Extend App by plugin, queued by `app.plugin(...)` before App loads
+ *
+ * app.route('/user/:id', function (params, route) { ... });
+ * // > Register route, see also `app.router({mode: 'history'})` and `app.navigate('/user/1')`
+ *
+ * app.schedule(function () { ... }, 'idle');
+ * // > Schedule task, priorities `immediate`, `ready`, `idle`, `visible` and `load`
+ *
+ * app.t('cart.items', {count: 3});
+ * // > Translate message of `i18n.<locale>` in App data store, see also `app.i18n({locale: 'cs'})`
+ *
+ * app.supports('fetch');
+ * // > Detect feature, see also `app.polyfill('fetch', 'fetch.js')`
+ *
+ * app.filter(collection, function (value, key) { ... });
+ * // > Collection utilities, see also `map`, `reduce`, `find`, `groupBy`, `uniq`, ...
+ *
+ * app.request('/url', {responseType: 'json'}).then(function (response) { ... });
+ * // > Send HTTP request
+ *
+ * app.render('name', {key: ...});
+ * // > Render template registered by `app.template('name', '{{key}}')`
+ *
+ * app.component('name', {mount: function (element, options) { ... }});
+ * // > Register component mounted to `data-app="name"` elements
+ *
+ * app.perf.report();
+ * // > Get performance marks and measures of boot, ready handlers and modules
+ *
+ * app.onError(function (report) { ... });
+ * // > Register error reporter
+ *
+ * app.persist('key', {storage: 'local', ttl: 3600000});
+ * // > Persist property of App data store in web storage
+ *
+ * app.load(['script.js', 'style.css'], function (error, assets) { ... });
+ * // > Load scripts and stylesheets asynchronously
+ *
  */
 
+/**
+ * Universal module definition, App is exported to CommonJS or assigned to
+ * global variable `App` (or `APP_VAR`). With AMD loader on the page, App is
+ * both assigned to the global and defined as named module `app-js`.
+ *
+ * @param {window|global} root The global object.
+ * @param {Function} factory The function returning App.
+ */
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        // App loaded by script tag replaces loader stub by `new App()` as soon
+        // as the script is executed, so the global can't wait for `require`
+        var exported = factory(root, root.document, true);
+
+        define('app-js', [], function () {
+            return exported;
+        });
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root, root.document, false);
+    } else {
+        factory(root, root.document, true);
+    }
+}(typeof window !== 'undefined' ? window : (typeof global !== 'undefined' ? global : this),
+
 /**
  * We use this to make sure we don't assign globals unless we actually want to
  *
- * @param {window} window
- * @param {document} document
+ * @param {window} window The window, or the global object without DOM (Node).
+ * @param {document} [document] The document, `undefined` without DOM.
+ * @param {boolean} expose Assign App as global variable.
  * @param {undefined} [undefined]
+ * @returns {Function} Returns the App constructor.
  */
-(function(window, document, undefined) {
+function(window, document, expose, undefined) {
     'use strict';
 
     /** @borrows Array.prototype.slice as slice */
     var slice = Array.prototype.slice;
 
     /**
-     * sets or gets  the value at `path` of `object`.
+     * Tiny Promise implementation used when the browser has none (IE).
      *
-     * @param {Object} object The object to query.
-     * @param {Array|string} path The path of the property to get.
-     * @param {*} [value] The value returned if the resolved value is `undefined`.
-     * @param {Boolean} [create] Specify `create` the missing object properties.
-     * @returns {*} Returns the resolved value.
+     * @param {Function} executor(resolve, reject) A function settling the promise.
+     * @constructor
      */
-    var _getOrSet = function (object, path, value, create) {
-        if (typeof path === 'string') {
-            // convert indexes to properties
-            // string = string.replace(/\[(\w+)\]/g, '.$1');
-            path = path.replace(/\[(\w+)]/g, '.$1');
-            // strip a leading dot
-            path = path.replace(/^\./, '');
-            // path to array
-            path = path.split('.');
+    var _Promise = function (executor) {
+        var self = this;
+        var handlers = [];
+        var state = 'pending';
+        var locked = false;
+        var result;
+
+        var handle = function (handler) {
+            // callbacks are always executed asynchronously
+            setTimeout(function () {
+                var callback = state === 'fulfilled' ? handler.onFulfilled : handler.onRejected;
+
+                if (typeof callback !== 'function') {
+                    (state === 'fulfilled' ? handler.resolve : handler.reject)(result);
+                    return;
+                }
+
+                try {
+                    handler.resolve(callback(result));
+                } catch (ex) {
+                    handler.reject(ex);
+                }
+            }, 0);
+        };
+
+        var settle = function (newState, value) {
+            if (state !== 'pending') {
+                return;
+            }
+
+            state = newState;
+            result = value;
+
+            for (var i = 0; i < handlers.length; i++) {
+                handle(handlers[i]);
+            }
+
+            handlers = null;
+        };
+
+        var resolve = function (value) {
+            var called = false;
+            var then;
+
+            if (value === self) {
+                settle('rejected', new TypeError('Promise resolved with itself'));
+                return;
+            }
+
+            // adopt state of thenable
+            try {
+                then = _isObject(value) ? value.then : undefined;
+
+                if (typeof then === 'function') {
+                    then.call(value, function (v) {
+                        if (called === false) {
+                            called = true;
+                            resolve(v);
+                        }
+                    }, function (r) {
+                        if (called === false) {
+                            called = true;
+                            settle('rejected', r);
+                        }
+                    });
+                } else {
+                    settle('fulfilled', value);
+                }
+            } catch (ex) {
+                if (called === false) {
+                    called = true;
+                    settle('rejected', ex);
+                }
+            }
+        };
+
+        self.then = function (onFulfilled, onRejected) {
+            return new _Promise(function (resolve, reject) {
+                var handler = {
+                    onFulfilled: onFulfilled,
+                    onRejected: onRejected,
+                    resolve: resolve,
+                    reject: reject
+                };
+
+                if (state === 'pending') {
+                    handlers.push(handler);
+                } else {
+                    handle(handler);
+                }
+            });
+        };
+
+        // `catch` is reserved word in ES3
+        self['catch'] = function (onRejected) {
+            return self.then(undefined, onRejected);
+        };
+
+        try {
+            executor(function (value) {
+                if (locked === false) {
+                    locked = true;
+                    resolve(value);
+                }
+            }, function (reason) {
+                if (locked === false) {
+                    locked = true;
+                    settle('rejected', reason);
+                }
+            });
+        } catch (ex) {
+            if (locked === false) {
+                locked = true;
+                settle('rejected', ex);
+            }
         }
+    };
 
-        for (var i = 0, n = path.length; i < n; ++i) {
-            var key = path[i];
-            var exists = key in object;
+    /**
+     * @param {*} value The value to resolve with.
+     * @returns {_Promise} Returns promise resolved with `value`.
+     */
+    _Promise.resolve = function (value) {
+        return value instanceof _Promise ? value : new _Promise(function (resolve) {
+            resolve(value);
+        });
+    };
 
-            // create path if path not `exists` and if `create` is set to true
-            if (exists === false && create === true) {
-                exists = true;
+    /**
+     * @param {*} reason The rejection reason.
+     * @returns {_Promise} Returns promise rejected with `reason`.
+     */
+    _Promise.reject = function (reason) {
+        return new _Promise(function (resolve, reject) {
+            reject(reason);
+        });
+    };
+
+    /**
+     * @param {Array} values The promises or values to wait for.
+     * @returns {_Promise} Returns promise resolved with array of values.
+     */
+    _Promise.all = function (values) {
+        return new _Promise(function (resolve, reject) {
+            var results = [];
+            var remaining = values.length;
 
-                // on last value set `value`, else set `object`
-                object[key] = ((i + 1) === n) ? value : {};
+            if (remaining === 0) {
+                resolve(results);
             }
 
-            if (exists === true) {
-                object = object[key];
-            } else {
-                return value;
+            for (var i = 0; i < values.length; i++) {
+                (function (index) {
+                    _Promise.resolve(values[index]).then(function (value) {
+                        results[index] = value;
+
+                        if (--remaining === 0) {
+                            resolve(results);
+                        }
+                    }, reject);
+                }(i));
+            }
+        });
+    };
+
+    /** @type {Function} */
+    var Promise = typeof window.Promise === 'function' ? window.Promise : _Promise;
+
+    /**
+     * Global variable of App constructor.
+     *
+     * @type {string}
+     */
+    var appVar = typeof APP_VAR === 'string' ? APP_VAR : 'App';
+
+    /**
+     * Global variable of loader stub of the default instance.
+     *
+     * @type {string}
+     */
+    var loaderVar = typeof APP_LOADER_VAR === 'string' ? APP_LOADER_VAR : 'app';
+
+    /**
+     * Previous value of the App global variable, restored by `noConflict`.
+     *
+     * @type {*}
+     */
+    var previousApp = window[appVar];
+
+    /**
+     * Instances created by `App.create`.
+     *
+     * @type {Object}
+     */
+    var apps = {};
+
+    /**
+     * Plugins registered by `App.plugin`, shared by all instances.
+     *
+     * @type {Object}
+     */
+    var plugins = {};
+
+    /**
+     * Plugins waiting for their dependencies.
+     *
+     * @type {Object[]}
+     */
+    var pendingPlugins = [];
+
+    /** @type {Performance|undefined} */
+    var performance = window.performance;
+
+    /**
+     * Epoch milliseconds of performance timeline start, navigation start, or
+     * loader stub creation if the environment provides neither (e.g. Node,
+     * workers or old browsers).
+     *
+     * @type {number}
+     */
+    var perfOrigin = performance && performance.timeOrigin ||
+        performance && performance.timing && performance.timing.navigationStart ||
+        (window[loaderVar] || {}).time || new Date().getTime();
+
+    /**
+     * Time of the performance timeline when this script has been executed.
+     *
+     * @type {number}
+     */
+    var scriptTime = performance && performance.now ? performance.now() : new Date().getTime() - perfOrigin;
+
+    /**
+     * Methods of `App.prototype` not depending on instance nor DOM, copied
+     * to `App`.
+     *
+     * @type {string[]}
+     */
+    var pureUtilities = ['deepExtend', 'extend', 'merge', 'each', 'for', 'forEach', 'filter', 'reduce', 'find', 'some',
+        'every', 'keys', 'values', 'groupBy', 'uniq', 'debounce', 'throttle', 'indexOf', 'isArray', 'map', 'now',
+        'parseJson', 'parseCamelCase', 'trim', 'type', 'isUndefined', 'escapeHtml', 'noop', 'falsy', 'truthy'];
+
+    /**
+     * Log levels ordered by severity.
+     *
+     * @type {Object}
+     */
+    var logLevels = {debug: 0, info: 1, warn: 2, error: 3, silent: 4};
+
+    /**
+     * Queued calls of these methods are replayed before the rest of loader
+     * queue, so they do not miss values and events of App boot.
+     *
+     * @type {string[]}
+     */
+    var listenerMethods = ['watch', 'on', 'once', 'onError'];
+
+    /**
+     * Built-in feature tests of `supports`, evaluated lazily.
+     *
+     * @type {Object}
+     */
+    var featureTests = {
+        addeventlistener: function () {
+            return !!window.addEventListener;
+        },
+        promise: function () {
+            return typeof window.Promise === 'function' && typeof window.Promise.resolve === 'function';
+        },
+        fetch: function () {
+            return typeof window.fetch === 'function';
+        },
+        localstorage: function () {
+            return !!_storage('local');
+        },
+        sessionstorage: function () {
+            return !!_storage('session');
+        },
+        mutationobserver: function () {
+            return !!(window.MutationObserver || window.WebKitMutationObserver);
+        },
+        intersectionobserver: function () {
+            return typeof window.IntersectionObserver === 'function';
+        },
+        passivelisteners: function () {
+            var passive = false;
+
+            try {
+                var options = Object.defineProperty({}, 'passive', {
+                    get: function () {
+                        passive = true;
+                    }
+                });
+
+                window.addEventListener('test', null, options);
+                window.removeEventListener('test', null, options);
+            } catch (ex) {}
+
+            return passive;
+        },
+        history: function () {
+            return !!(window.history && window.history.pushState);
+        },
+        customproperties: function () {
+            return !!(window.CSS && window.CSS.supports && window.CSS.supports('--app', 0));
+        }
+    };
+
+    /**
+     * Keys never copied by `extend` and `merge` nor resolved in data store
+     * paths, they would modify prototypes when merging parsed JSON.
+     *
+     * @type {string[]}
+     */
+    var unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+    /**
+     * Checks if `key` is one of `unsafeKeys`.
+     *
+     * @param {string|number} key The key to check.
+     * @returns {boolean} Returns `true` if `key` is unsafe, else `false`.
+     */
+    var _isUnsafeKey = function (key) {
+        for (var i = 0; i < unsafeKeys.length; i++) {
+            if (unsafeKeys[i] === key) {
+                return true;
             }
         }
 
-        return object;
+        return false;
     };
 
     /**
-     * The one global object for App JavaScript.
+     * Checks if `value` can hold properties.
      *
-     * @param {Function|Array|string} [path] The path of the property to get.
-     * @param {*} [value] The value to set.
-     * @returns {*} Returns the resolved value.
-     * @constructor
+     * @param {*} value The value to check.
+     * @returns {boolean} Returns `true` if `value` is an object or function, else `false`.
      */
-    var App = function (path, value) {
-        var loader = window[typeof APP_LOADER_VAR === 'string' ? APP_LOADER_VAR : 'app'];
-        var self = this;
+    var _isObject = function (value) {
+        return value !== null && (typeof value === 'object' || typeof value === 'function');
+    };
 
-        // app is not ready yet, call on ready handler
-        // and process old queue
-        if (self.appready === false) {
-            self.time = self.now();
+    /**
+     * Checks if `value` is a plain object, i.e. created by object literal,
+     * `Object.create(null)` or `JSON.parse`, also of another realm (iframe).
+     *
+     * @param {*} value The value to check.
+     * @returns {boolean} Returns `true` if `value` is a plain object, else `false`.
+     */
+    var _isPlainObject = function (value) {
+        var proto;
 
-            // Mark App as ready
-            self.appready = true;
+        if (Object.prototype.toString.call(value) !== '[object Object]' || value.nodeType) {
+            return false;
+        }
 
-            // Log ready
-            console.info('App: Ready and waiting for DOM...', (self.time - loader.time) ,'ms');
+        if (Object.getPrototypeOf) {
+            proto = Object.getPrototypeOf(value);
 
-            // Watch DOC ready handler
-            self.ready(function () {
-                self.domready = true;
+            if (proto === null || proto === Object.prototype) {
+                return true;
+            }
 
-                // Log DOM ready
-                console.info('App: Hurray, DOM is ready... ', (self.now() - self.time) ,'ms');
-            });
+            // `Object.prototype` of another realm ends the chain and belongs to its `Object`
+            return Object.getPrototypeOf(proto) === null && typeof proto.constructor === 'function' &&
+                Function.prototype.toString.call(proto.constructor) === Function.prototype.toString.call(Object);
+        }
 
-            // Process loader queue
-            self.each(loader.queue, function (item) {
-                self.constructor.apply(self, item);
-            });
+        return value.constructor === Object || value.constructor === undefined;
+    };
+
+    /**
+     * Checks if `value` is array-like, i.e. an array, `arguments`, a node
+     * list or other non-plain object with numeric `length` which is not
+     * a function, string, window nor form element. Plain objects are never
+     * array-like, e.g. `{length: 1}` is iterated by its keys.
+     *
+     * @param {*} value The value to check.
+     * @returns {boolean} Returns `true` if `value` is array-like, else `false`.
+     */
+    var _isArrayLike = function (value) {
+        if (value === null || typeof value !== 'object' || typeof value.length !== 'number' ||
+            value.length < 0 || value.nodeType || value === value.window) {
+            return false;
         }
 
-        switch(typeof path) {
-            case 'string':
-                var isSetter = typeof value !== 'undefined';
+        // `arguments` of IE < 9 are classified as plain object
+        return !_isPlainObject(value) || Object.prototype.hasOwnProperty.call(value, 'callee');
+    };
 
-                return _getOrSet(self.data, path.toLowerCase(), isSetter ? value : undefined, !!isSetter);
-            case 'function':
-                return self.ready.apply(self, arguments);
+    /**
+     * Invokes `iteratee` with `(value, key, collection)` for items of array,
+     * array-like or own properties of object `collection`, iteration stops
+     * when `iteratee` returns `false`.
+     *
+     * @param {Array|Object} collection The collection to iterate over.
+     * @param {Function} iteratee The function invoked per iteration.
+     */
+    var _iterate = function (collection, iteratee) {
+        if (collection instanceof Dom) {
+            collection = collection.elements;
         }
 
-        return self.domready;
+        if (_isArrayLike(collection)) {
+            for (var i = 0; i < collection.length; i++) {
+                if (iteratee(collection[i], i, collection) === false) {
+                    return;
+                }
+            }
+        } else if (_isObject(collection) && typeof collection !== 'function') {
+            for (var key in collection) {
+                if (collection.hasOwnProperty(key) && iteratee(collection[key], key, collection) === false) {
+                    return;
+                }
+            }
+        }
     };
 
-    //-------------------------------------------------------------------------
-    // Passthrough Methods
-    //-------------------------------------------------------------------------
+    /**
+     * Creates iteratee of collection utilities, property name is converted
+     * to function returning the property, missing `iteratee` to identity.
+     *
+     * @param {Function|string} [iteratee] The function or property name.
+     * @returns {Function} Returns the iteratee.
+     */
+    var _iteratee = function (iteratee) {
+        if (typeof iteratee === 'function') {
+            return iteratee;
+        }
 
-    App.prototype = {
-        app: '@VERSION',
+        if (typeof iteratee === 'string' || typeof iteratee === 'number') {
+            return function (value) {
+                return value === null || value === undefined ? undefined : value[iteratee];
+            };
+        }
 
-        // restore constructor
-        constructor: App,
+        return function (value) {
+            return value;
+        };
+    };
 
-        /** @type {boolean} */
-        debug: !!window.APP_DEBUG,
+    /**
+     * Merges `value` into `target` and returns the result, plain objects and
+     * arrays are merged recursively, dates and regular expressions are cloned,
+     * anything else (DOM nodes, class instances, primitives) is used as is.
+     *
+     * @param {*} target The destination value.
+     * @param {*} value The source value.
+     * @param {Object} options The options of `merge`.
+     * @param {Array[]} seen Pairs of merged sources and their results.
+     * @param {Array} path The keys of `value`.
+     * @returns {*} Returns the merged value.
+     */
+    var _mergeValue = function (target, value, options, seen, path) {
+        var type = Object.prototype.toString.call(value);
+        var isArray = type === '[object Array]';
+        var offset;
+        var result;
+        var i;
 
-        /** @type {boolean} */
-        appready: false,
+        if (type === '[object Date]') {
+            return new Date(value.getTime());
+        }
 
-        /** @type {boolean} */
-        domready: document.readyState !== 'loading',
+        if (type === '[object RegExp]') {
+            return new RegExp(value.source, String(value).match(/[a-z]*$/)[0]);
+        }
 
-        /** @type {Object} */
-        data: {},
+        if (!isArray && !_isPlainObject(value)) {
+            return value;
+        }
 
-        /**
-         * Signals that an error has occurred. If in development mode, an error
-         * is thrown.
-         *
-         * @param {error} [exception] The exception object to use.
-         * @throws Will throw an error exception if in dev mode
-         * @returns {void}
-         */
-        error: function (exception) {
-            if (this.debug === true) {
-                throw exception;
+        // cyclic and repeated references get the same result
+        for (i = 0; i < seen.length; i++) {
+            if (seen[i][0] === value) {
+                return seen[i][1];
+            }
+        }
+
+        if (isArray) {
+            if (Object.prototype.toString.call(target) !== '[object Array]' || options.arrays === 'replace') {
+                target = [];
+            }
+        } else if (!_isPlainObject(target) && !(path.length === 0 && _isObject(target) &&
+            Object.prototype.toString.call(target) !== '[object Array]')) {
+            // given destination object (e.g. class instance) is kept, nested ones are replaced
+            target = {};
+        }
+
+        seen.push([value, target]);
+
+        offset = isArray && options.arrays === 'concat' ? target.length : 0;
+
+        for (var key in value) {
+            if (!value.hasOwnProperty(key) || _isUnsafeKey(key)) {
+                continue;
+            }
+
+            var targetKey = offset ? offset + Number(key) : key;
+            var keyPath = path.concat(isArray ? Number(key) : key);
+
+            result = undefined;
+
+            if (typeof options.merge === 'function') {
+                result = options.merge(target[targetKey], value[key], key, keyPath.join('.'));
             }
+
+            target[targetKey] = typeof result !== 'undefined' ? result :
+                _mergeValue(target[targetKey], value[key], options, seen, keyPath);
+        }
+
+        return target;
+    };
+
+    /**
+     * Converts `path` to array of property names, indexes in brackets
+     * (e.g. `a[0].b`) are converted to numbers.
+     *
+     * @param {Array|string} path The path to convert.
+     * @returns {Array} Returns the property names.
+     */
+    var _parsePath = function (path) {
+        var keys = [];
+
+        if (typeof path !== 'string') {
+            return path;
+        }
+
+        path.replace(/\[(\w+)]|[^.[\]]+/g, function (match, index) {
+            // IE < 9 passes empty string for unmatched group
+            if (index) {
+                keys.push(/^\d+$/.test(index) ? parseInt(index, 10) : index);
+            } else {
+                keys.push(match);
+            }
+        });
+
+        return keys;
+    };
+
+    /**
+     * Converts `path` to array of data store keys, lower-cased unless
+     * `self.caseSensitive` is set.
+     *
+     * @param {App} self The App instance.
+     * @param {Array|string} path The path to convert.
+     * @returns {Array} Returns the data store keys.
+     */
+    var _storePath = function (self, path) {
+        return self.map(_parsePath(path), function (key) {
+            return typeof key === 'string' && self.caseSensitive !== true ? key.toLowerCase() : key;
+        });
+    };
+
+    /**
+     * sets or gets  the value at `path` of `object`. Paths with `unsafeKeys`
+     * do not exist and are never set.
+     *
+     * @param {Object} object The object to query.
+     * @param {Array|string} path The path of the property to get.
+     * @param {*} [value] The value to set or returned if the path does not exist.
+     * @param {Boolean} [create] Specify `create` to set `value` and the missing object properties.
+     * @returns {*} Returns the resolved value.
+     */
+    var _getOrSet = function (object, path, value, create) {
+        path = _parsePath(path);
+
+        for (var i = 0, n = path.length; i < n; ++i) {
+            var key = path[i];
+
+            if (_isUnsafeKey(key)) {
+                return value;
+            }
+
+            // primitives have no properties to look into
+            var exists = _isObject(object) && key in object;
+
+            if (create === true) {
+                // on last key set `value`, else create missing object or array
+                if ((i + 1) === n) {
+                    object[key] = value;
+                } else if (exists === false || _isObject(object[key]) === false) {
+                    object[key] = typeof path[i + 1] === 'number' ? [] : {};
+                }
+
+                exists = true;
+            }
+
+            if (exists === true) {
+                object = object[key];
+            } else {
+                return value;
+            }
+        }
+
+        return object;
+    };
+
+    /**
+     * Removes the property at `path` of `object`, array items are spliced.
+     *
+     * @param {Object} object The object to modify.
+     * @param {Array|string} path The path of the property to remove.
+     * @returns {boolean} Returns `true` if the property has been removed, else `false`.
+     */
+    var _unset = function (object, path) {
+        path = _parsePath(path);
+
+        var key = path[path.length - 1];
+        var parent = _getOrSet(object, path.slice(0, -1));
+
+        if (path.length === 0 || _isUnsafeKey(key) || _isObject(parent) === false || (key in parent) === false) {
+            return false;
+        }
+
+        if (Object.prototype.toString.call(parent) === '[object Array]' && typeof key === 'number') {
+            parent.splice(key, 1);
+        } else {
+            delete parent[key];
+        }
+
+        return true;
+    };
+
+    /**
+     * Executes `mutate` on the data store and notifies watchers of `path`,
+     * its parent and child paths. Errors thrown by watchers are reported.
+     *
+     * @param {App} self The App instance.
+     * @param {Array} path The data store keys of changed property.
+     * @param {Function} mutate A function changing the data store.
+     * @returns {*} Returns the result of `mutate`.
+     */
+    var _notify = function (self, path, mutate) {
+        var notify = [];
+        var result;
+
+        self.each(self.watchers, function (watcher) {
+            var n = Math.min(path.length, watcher.path.length);
+
+            for (var i = 0; i < n; i++) {
+                if (String(path[i]) !== String(watcher.path[i])) {
+                    return;
+                }
+            }
+
+            // report the deeper one of changed and watched path
+            var changed = path.length > watcher.path.length ? path : watcher.path;
+
+            notify.push({
+                watcher: watcher,
+                path: changed,
+                oldValue: _getOrSet(self.data, changed)
+            });
+        });
+
+        result = mutate();
+
+        self.each(notify, function (item) {
+            // failing watcher must not break the others nor the change
+            try {
+                item.watcher.handler.call(self, _getOrSet(self.data, item.path), item.oldValue, item.path.join('.'));
+            } catch (ex) {
+                _reportError(self, ex, {type: 'watcher', path: item.path.join('.')});
+                _log(self, '', 'error', [ex]);
+            }
+        });
+
+        return result;
+    };
+
+    /**
+     * Normalizes schema `definition`, type name (e.g. `'number'`) and array
+     * with items definition (e.g. `['string']`) are accepted as shorthand.
+     *
+     * @param {Object|string|Array} definition The schema definition.
+     * @returns {Object} Returns the definition with `type`.
+     */
+    var _schemaDefinition = function (definition) {
+        if (typeof definition === 'string') {
+            return {type: definition};
+        }
+
+        if (App.prototype.isArray(definition)) {
+            return {type: 'array', items: definition[0]};
+        }
+
+        definition = definition || {};
+
+        if (!definition.type) {
+            return App.prototype.extend({
+                type: definition.properties ? 'object' : definition.items ? 'array' : 'any'
+            }, definition);
+        }
+
+        return definition;
+    };
+
+    /**
+     * Gets definition of property `key` of object or array `definition`,
+     * keys are compared case-insensitively unless the data store is case sensitive.
+     *
+     * @param {App} self The App instance.
+     * @param {Object} definition The normalized schema definition.
+     * @param {string|number} key The property name or index.
+     * @returns {Object|undefined} Returns the normalized definition of the property.
+     */
+    var _schemaChild = function (self, definition, key) {
+        var properties = definition.properties;
+        var found;
+
+        if (definition.type === 'array') {
+            return definition.items ? _schemaDefinition(definition.items) : undefined;
+        }
+
+        if (!_isObject(properties)) {
+            return undefined;
+        }
+
+        if (properties.hasOwnProperty(key)) {
+            return _schemaDefinition(properties[key]);
+        }
+
+        if (self.caseSensitive !== true) {
+            found = self.find(self.keys(properties), function (name) {
+                return name.toLowerCase() === String(key).toLowerCase();
+            });
+        }
+
+        return found ? _schemaDefinition(properties[found]) : undefined;
+    };
+
+    /**
+     * Coerces `value` to schema `type`, e.g. `"3"` to `3` or `"true"` to `true`.
+     *
+     * @param {App} self The App instance.
+     * @param {string} type The type, `string`, `number`, `integer`, `boolean`, `array`, `object`, `date` or `any`.
+     * @param {*} value The value to coerce.
+     * @returns {*} Returns the coerced value, `undefined` if `value` can not be coerced.
+     */
+    var _coerceType = function (self, type, value) {
+        var kind = self.type(value);
+        var number;
+
+        if ((type === 'array' || type === 'object') && kind === 'string' && /^\s*[\[{]/.test(value)) {
+            try {
+                value = self.parseJson(value);
+                kind = self.type(value);
+            } catch (ex) {
+                return undefined;
+            }
+        }
+
+        switch (type) {
+            case 'string':
+                return kind === 'string' ? value : kind === 'number' || kind === 'boolean' ? String(value) : undefined;
+            case 'number':
+            case 'integer':
+                number = kind === 'string' && self.trim(value) !== '' ? Number(value) : kind === 'number' ? value : NaN;
+
+                return isNaN(number) || (type === 'integer' && number % 1 !== 0) ? undefined : number;
+            case 'boolean':
+                if (kind === 'boolean') {
+                    return value;
+                }
+
+                value = String(value).toLowerCase();
+
+                return /^(true|1|yes|on)$/.test(value) ? true : /^(false|0|no|off)$/.test(value) ? false : undefined;
+            case 'array':
+                return kind === 'array' ? value.slice() : undefined;
+            case 'object':
+                return _isPlainObject(value) ? self.extend({}, value) : undefined;
+            case 'date':
+                value = kind === 'date' ? value : kind === 'string' || kind === 'number' ? new Date(value) : null;
+
+                return value && !isNaN(value.getTime()) ? value : undefined;
+        }
+
+        return value;
+    };
+
+    /**
+     * Validates `value` by schema `definition`, applies defaults and coerces
+     * types of nested properties and items.
+     *
+     * @param {App} self The App instance.
+     * @param {Object} definition The normalized schema definition.
+     * @param {*} value The value to validate.
+     * @param {Array} path The data store keys of `value`.
+     * @param {Error[]} errors Collects the violations.
+     * @returns {*} Returns the coerced value.
+     */
+    var _validate = function (self, definition, value, path, errors) {
+        var name = path.join('.');
+        var coerced;
+
+        var violation = function (message) {
+            var error = new Error('App: Value of "' + name + '" ' + message);
+
+            error.path = name;
+            errors.push(error);
+        };
+
+        if (value === undefined || value === null) {
+            if (typeof definition['default'] !== 'undefined') {
+                value = typeof definition['default'] === 'function' ?
+                    definition['default'].call(self) : self.deepExtend({}, {value: definition['default']}).value;
+            } else {
+                if (definition.required) {
+                    violation('is required');
+                }
+
+                return value;
+            }
+        }
+
+        coerced = _coerceType(self, definition.type, value);
+
+        if (coerced === undefined) {
+            violation('should be ' + definition.type + ', got ' + (typeof value === 'string' ? '"' + value + '"' : self.type(value)));
+            return value;
+        }
+
+        if (self.isArray(definition['enum']) && self.indexOf(definition['enum'], coerced) === -1) {
+            violation('should be one of ' + self.map(definition['enum'], function (item) {
+                return JSON.stringify(item);
+            }).join(', ') + ', got ' + JSON.stringify(coerced));
+        }
+
+        if (definition.type === 'object' && _isObject(definition.properties)) {
+            self.each(definition.properties, function (property, key) {
+                var item = _validate(self, _schemaDefinition(property), coerced[key], path.concat(key), errors);
+
+                if (item !== undefined || coerced.hasOwnProperty(key)) {
+                    coerced[key] = item;
+                }
+            });
+        }
+
+        if (definition.type === 'array' && definition.items) {
+            self.each(coerced, function (item, i) {
+                coerced[i] = _validate(self, _schemaDefinition(definition.items), item, path.concat(i), errors);
+            });
+        }
+
+        return coerced;
+    };
+
+    /**
+     * Validates `value` set at `path` by schemas of the path, its parent or
+     * child paths, violations are reported.
+     *
+     * @param {App} self The App instance.
+     * @param {Array} path The data store keys.
+     * @param {*} value The value to set.
+     * @returns {*} Returns the coerced value.
+     */
+    var _applySchemas = function (self, path, value) {
+        var errors = [];
+
+        self.each(self.schemas, function (schema) {
+            var n = Math.min(path.length, schema.path.length);
+            var definition = schema.definition;
+            var rest;
+            var i;
+
+            for (i = 0; i < n; i++) {
+                if (String(path[i]) !== String(schema.path[i])) {
+                    return;
+                }
+            }
+
+            if (path.length >= schema.path.length) {
+                for (i = schema.path.length; i < path.length && definition; i++) {
+                    definition = _schemaChild(self, definition, path[i]);
+                }
+
+                if (definition) {
+                    value = _validate(self, definition, value, path, errors);
+                }
+            } else if (_isObject(value)) {
+                // value holds the subtree of schema
+                rest = schema.path.slice(path.length);
+
+                var current = _getOrSet(value, rest);
+                var coerced = _validate(self, definition, current, schema.path, errors);
+
+                if (coerced !== current) {
+                    _getOrSet(value, rest, coerced, true);
+                }
+            }
+        });
+
+        self.each(errors, function (error) {
+            self.error(error);
+        });
+
+        return value;
+    };
+
+    /**
+     * Parses space separated event names, e.g. `click.myWidget app:*`.
+     *
+     * @param {string} events The event names.
+     * @returns {{type: string, namespace: string}[]} Returns the parsed events.
+     */
+    var _parseEvents = function (events) {
+        var parsed = [];
+        var names = String(events).split(/\s+/);
+
+        for (var i = 0; i < names.length; i++) {
+            var dot = names[i].indexOf('.');
+
+            if (names[i] === '') {
+                continue;
+            }
+
+            parsed.push({
+                type: dot === -1 ? names[i] : names[i].substring(0, dot),
+                namespace: dot === -1 ? '' : names[i].substring(dot + 1)
+            });
+        }
+
+        return parsed;
+    };
+
+    /**
+     * Checks if event `type` matches listener `pattern`, `*` in pattern
+     * matches any characters.
+     *
+     * @param {string} pattern The listener event type.
+     * @param {string} type The emitted event type.
+     * @returns {boolean} Returns `true` if `type` matches, else `false`.
+     */
+    var _matchEvent = function (pattern, type) {
+        if (pattern.indexOf('*') === -1) {
+            return pattern === type;
+        }
+
+        return new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$').test(type);
+    };
+
+    /**
+     * Adds `handler` as listener of `events`.
+     *
+     * @param {App} self The App instance.
+     * @param {string} events Space separated event names.
+     * @param {Function} handler A function to execute when the event is emitted.
+     * @param {boolean} once Remove the listener after the first call.
+     */
+    var _listen = function (self, events, handler, once) {
+        self.each(_parseEvents(events), function (event) {
+            self.listeners.push({
+                type: event.type,
+                namespace: event.namespace,
+                handler: handler,
+                once: once
+            });
+        });
+    };
+
+    /**
+     * Gets web storage of `type`, if it is available and writable.
+     *
+     * @param {string|Storage} type The `local` or `session` storage, or the storage itself.
+     * @returns {Storage|null} Returns the storage or `null` if it is unavailable.
+     */
+    var _storage = function (type) {
+        var test = '__app__';
+
+        // accessing storage throws when disabled by privacy settings
+        try {
+            var storage = _isObject(type) ? type : window[type === 'session' ? 'sessionStorage' : 'localStorage'];
+
+            storage.setItem(test, test);
+            storage.removeItem(test);
+
+            return storage;
+        } catch (ex) {
+            return null;
+        }
+    };
+
+    /**
+     * Evaluates feature test `name` once and writes the result as class
+     * `has-name` or `no-name` of the `<html>` element.
+     *
+     * @param {App} self The App instance.
+     * @param {string} name The lower-cased feature name.
+     * @returns {boolean} Returns the test result.
+     */
+    var _feature = function (self, name) {
+        var test = self.featureTests[name] || featureTests[name];
+        var result;
+
+        if (self.features.hasOwnProperty(name)) {
+            return self.features[name];
+        }
+
+        if (typeof test !== 'function') {
+            return false;
+        }
+
+        // a throwing test means the feature is not usable
+        try {
+            result = !!test.call(self);
+        } catch (ex) {
+            result = false;
+        }
+
+        self.features[name] = result;
+
+        if (document && document.documentElement) {
+            self.$(document.documentElement)
+                .removeClass((result ? 'no-' : 'has-') + name)
+                .addClass((result ? 'has-' : 'no-') + name);
+        }
+
+        return result;
+    };
+
+    /**
+     * Calls `callback` once polyfills being loaded are settled.
+     *
+     * @param {App} self The App instance.
+     * @param {Function} callback The function to call.
+     */
+    var _afterPolyfills = function (self, callback) {
+        var pending = self.map(self.filter(self.polyfills, function (polyfill) {
+            return polyfill.status === 'loading';
+        }), 'promise');
+
+        if (pending.length === 0) {
+            return callback();
+        }
+
+        Promise.all(pending).then(function () {
+            _afterPolyfills(self, callback);
+        }, function () {
+            _afterPolyfills(self, callback);
+        });
+    };
+
+    /**
+     * Replays one item of the loader queue. Items pushed by the queueable
+     * stub methods (e.g. `app.define(...)`) carry the method name in
+     * `item.method`, everything else goes through the constructor.
+     *
+     * @param {App} self The App instance.
+     * @param {Arguments|Array} item The queued arguments.
+     * @returns {*} Returns the result of replayed call.
+     */
+    var _replay = function (self, item) {
+        if (typeof item.method === 'string' && typeof self[item.method] === 'function') {
+            return self[item.method].apply(self, item);
+        }
+
+        return self.constructor.apply(self, item);
+    };
+
+    /**
+     * Checks if module `name` and all its dependencies are defined.
+     *
+     * @param {App} self The App instance.
+     * @param {string} name The module name.
+     * @param {Object} [seen] Already visited modules, guards against cycles.
+     * @returns {boolean} Returns `true` if module can be instantiated, else `false`.
+     */
+    var _isResolvable = function (self, name, seen) {
+        var module = self.modules[name];
+
+        seen = seen || {};
+
+        if (!self.modules.hasOwnProperty(name)) {
+            return false;
+        }
+
+        // cycles are reported by `_instantiate`
+        if (module.state === 'done' || seen[name] === true) {
+            return true;
+        }
+
+        seen[name] = true;
+
+        for (var i = 0; i < module.deps.length; i++) {
+            if (!_isResolvable(self, module.deps[i], seen)) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Runs factory of module `name` once its dependencies have been run.
+     *
+     * @param {App} self The App instance.
+     * @param {string} name The module name.
+     * @param {string[]} [chain] Names of modules being instantiated.
+     * @returns {*} Returns the module exports.
+     */
+    var _instantiate = function (self, name, chain) {
+        var module = self.modules[name];
+        var exports = [];
+        var start;
+
+        chain = (chain || []).concat(name);
+
+        if (module.state === 'done') {
+            return module.exports;
+        }
+
+        // failed factory is not run again, its error is thrown to every requirer
+        if (module.state === 'error') {
+            throw module.error;
+        }
+
+        if (module.state === 'loading') {
+            return self.error(new Error('App: Circular module dependency ' + chain.join(' -> ')));
+        }
+
+        module.state = 'loading';
+
+        try {
+            for (var i = 0; i < module.deps.length; i++) {
+                exports.push(_instantiate(self, module.deps[i], chain));
+            }
+
+            start = self.perf.now();
+            module.exports = typeof module.factory === 'function' ?
+                module.factory.apply(undefined, exports) : module.factory;
+        } catch (ex) {
+            module.state = 'error';
+            module.error = _isObject(ex) ? ex : new Error(String(ex));
+
+            throw module.error;
+        }
+
+        module.state = 'done';
+        self.perf.measure('module:' + name, start);
+
+        return module.exports;
+    };
+
+    /**
+     * Runs all pending `require` handlers whose dependencies are defined.
+     *
+     * @param {App} self The App instance.
+     */
+    var _flushRequires = function (self) {
+        var pending = self.requires.splice(0, self.requires.length);
+        var errors = [];
+
+        self.each(pending, function (item) {
+            for (var i = 0; i < item.deps.length; i++) {
+                if (!_isResolvable(self, item.deps[i])) {
+                    self.requires.push(item);
+                    return;
+                }
+            }
+
+            // failing factory or handler must not drop the other handlers
+            try {
+                var exports = self.map(item.deps, function (dep) {
+                    return _instantiate(self, dep);
+                });
+
+                if (typeof item.handler === 'function') {
+                    item.handler.apply(undefined, exports);
+                }
+            } catch (ex) {
+                errors.push(_isObject(ex) ? ex : new Error(String(ex)));
+            }
+        });
+
+        // reported once all handlers ran, errors throw in debug mode
+        self.each(errors, function (error) {
+            self.error(error);
+        });
+    };
+
+    /**
+     * Reports modules which have never been defined but are still required.
+     *
+     * @param {App} self The App instance.
+     */
+    var _reportMissing = function (self) {
+        var seen = {};
+
+        var walk = function (name, parent) {
+            var module = self.modules[name];
+
+            if (seen[name] === true) {
+                return;
+            }
+
+            seen[name] = true;
+
+            if (!self.modules.hasOwnProperty(name)) {
+                self.error(new Error('App: Module "' + name + '" required by "' + parent + '" was never defined'));
+            } else if (module.state !== 'done') {
+                self.each(module.deps, function (dep) {
+                    walk(dep, name);
+                });
+            }
+        };
+
+        self.each(self.requires, function (item) {
+            self.each(item.deps, function (dep) {
+                walk(dep, 'require()');
+            });
+        });
+    };
+
+    /**
+     * Compares dot separated numeric versions.
+     *
+     * @param {string} a The first version.
+     * @param {string} b The second version.
+     * @returns {number} Returns negative number if `a` is lower, positive if higher, else `0`.
+     */
+    var _compareVersions = function (a, b) {
+        a = String(a).split('.');
+        b = String(b).split('.');
+
+        for (var i = 0; i < Math.max(a.length, b.length); i++) {
+            var diff = (parseInt(a[i], 10) || 0) - (parseInt(b[i], 10) || 0);
+
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+
+        return 0;
+    };
+
+    /**
+     * Installs `plugin` once its dependencies are registered, then installs
+     * plugins waiting for it.
+     *
+     * @param {App} self The App instance reporting errors.
+     * @param {Object} plugin The normalized plugin definition.
+     * @returns {boolean} Returns `true` if the plugin was installed, else `false`.
+     */
+    var _installPlugin = function (self, plugin) {
+        var proto = App.prototype;
+        var members;
+        var conflict;
+
+        for (var dep in plugin.requires) {
+            if (!plugin.requires.hasOwnProperty(dep)) {
+                continue;
+            }
+
+            if (!plugins.hasOwnProperty(dep)) {
+                pendingPlugins.push(plugin);
+                return false;
+            }
+
+            if (plugin.requires[dep] && _compareVersions(plugins[dep].version, plugin.requires[dep]) < 0) {
+                self.error(new Error('App: Plugin "' + plugin.name + '" requires "' + dep + '" ' +
+                    plugin.requires[dep] + ' or newer, ' + plugins[dep].version + ' registered'));
+                return false;
+            }
+        }
+
+        members = typeof plugin.install === 'function' ? plugin.install(App) : undefined;
+        members = _isObject(members) ? members : {};
+
+        for (var key in members) {
+            if (members.hasOwnProperty(key) && key in proto) {
+                conflict = self.find(plugins, function (item) {
+                    return self.indexOf(item.members, key) !== -1;
+                });
+
+                self.error(new Error('App: Plugin "' + plugin.name + '" member "' + key + '" conflicts with ' +
+                    (conflict ? 'plugin "' + conflict.name + '"' : 'App core')));
+                return false;
+            }
+        }
+
+        if (plugin.protect) {
+            self.protect(members, plugin.name);
+        }
+
+        plugin.members = self.keys(members);
+        plugins[plugin.name] = plugin;
+        self.extend(proto, members);
+
+        if (typeof plugin.setup === 'function') {
+            plugin.setup(App);
+        }
+
+        self.each(pendingPlugins.splice(0, pendingPlugins.length), function (item) {
+            _installPlugin(self, item);
+        });
+
+        return true;
+    };
+
+    /**
+     * Reports plugins whose dependencies have never been registered.
+     *
+     * @param {App} self The App instance.
+     */
+    var _reportPlugins = function (self) {
+        self.each(pendingPlugins, function (plugin) {
+            // plugins are shared, report them once for all instances
+            if (plugin.reported) {
+                return;
+            }
+
+            plugin.reported = true;
+
+            self.each(plugin.requires, function (version, dep) {
+                if (!plugins.hasOwnProperty(dep)) {
+                    self.error(new Error('App: Plugin "' + dep + '" required by plugin "' + plugin.name +
+                        '" was never registered'));
+                }
+            });
+        });
+    };
+
+    /**
+     * Adds DOM event listener, `attachEvent` is used in IE < 9.
+     *
+     * @param {EventTarget} target The event target.
+     * @param {string} type The event type, e.g. `load`.
+     * @param {Function} handler A function to execute when the event occurs.
+     */
+    var _addEvent = function (target, type, handler) {
+        if (target.addEventListener) {
+            target.addEventListener(type, handler, false);
+        } else if (target.attachEvent) {
+            //noinspection JSUnresolvedFunction
+            target.attachEvent('on' + type, handler);
+        }
+    };
+
+    /**
+     * Executes `handler` once the window (with all its resources) is loaded.
+     *
+     * @param {Function} handler A function to execute after the window is loaded.
+     */
+    var _onLoad = function (handler) {
+        // there is nothing to wait for without DOM
+        if (!document || document.readyState === 'complete') {
+            setTimeout(handler, 1);
+        } else {
+            _addEvent(window, 'load', handler);
+        }
+    };
+
+    /**
+     * Creates a function collecting items and sending them in batches as
+     * JSON to `url`, using `navigator.sendBeacon` if available. Pending items
+     * are sent when the page is hidden.
+     *
+     * @param {App} self The App instance.
+     * @param {string} url The endpoint URL.
+     * @param {Object} [options] The options.
+     * @param {number} [options.batchSize=10] Number of items sent immediately.
+     * @param {number} [options.delay=2000] Milliseconds to wait for more items.
+     * @returns {Function} Returns the collecting function, with `flush` method to send pending items.
+     */
+    var _batchSender = function (self, url, options) {
+        var queue = [];
+        var timer;
+
+        options = self.extend({
+            batchSize: 10,
+            delay: 2000
+        }, options);
+
+        var flush = function () {
+            var body;
+            var xhr;
+
+            clearTimeout(timer);
+            timer = undefined;
+
+            if (queue.length === 0) {
+                return;
+            }
+
+            body = JSON.stringify(queue.splice(0, queue.length));
+
+            if (window.navigator.sendBeacon && window.navigator.sendBeacon(url, body)) {
+                return;
+            }
+
+            //noinspection JSUnresolvedFunction
+            xhr = window.XMLHttpRequest ? new XMLHttpRequest() : new ActiveXObject('Microsoft.XMLHTTP');
+            xhr.open('POST', url, true);
+            xhr.setRequestHeader('Content-Type', 'application/json');
+            xhr.send(body);
+        };
+
+        var send = function (item) {
+            queue.push(item);
+
+            if (queue.length >= options.batchSize) {
+                flush();
+            } else if (timer === undefined) {
+                timer = setTimeout(flush, options.delay);
+            }
+        };
+
+        _addEvent(window, 'pagehide', flush);
+        _addEvent(window, 'unload', flush);
+
+        send.flush = flush;
+
+        return send;
+    };
+
+    /**
+     * Writes log entry to console, does nothing if there is no console.
+     *
+     * @param {Object} entry The log entry.
+     */
+    var _consoleTransport = function (entry) {
+        var console = window.console;
+        var args = entry.namespace ? [entry.namespace + ':'].concat(entry.args) : entry.args;
+        var method;
+
+        if (!console) {
+            return;
+        }
+
+        method = console[entry.level] || console.log;
+
+        // console methods are not functions with `apply` in IE < 10
+        try {
+            Function.prototype.apply.call(method, console, args);
+        } catch (ex) {
+            console.log(args.join(' '));
+        }
+    };
+
+    /**
+     * Writes log entry to transports of `self` if `level` is enabled for
+     * `namespace`.
+     *
+     * @param {App} self The App instance.
+     * @param {string} namespace The logger namespace, empty for App log.
+     * @param {string} level The log level.
+     * @param {Array} args The logged values.
+     */
+    var _log = function (self, namespace, level, args) {
+        var logger = self.loggers[namespace];
+        var threshold = (logger && logger.level) || self.logLevel || (self.debug ? 'debug' : 'warn');
+        var entry;
+
+        if (!logLevels.hasOwnProperty(level) || logLevels[level] < logLevels[threshold]) {
+            return;
+        }
+
+        entry = {
+            level: level,
+            namespace: namespace,
+            args: args,
+            time: self.loader ? self.now() - self.loader.time : undefined,
+            timestamp: self.now()
+        };
+
+        self.each(self.logTransports, function (transport) {
+            // failing transport must not break the others nor the caller,
+            // it is not reported, reporting the error could log again
+            try {
+                transport.call(self, entry);
+            } catch (ex) {
+                self.noop(ex);
+            }
+        });
+    };
+
+    /**
+     * Creates error report of `exception` and passes it to registered
+     * reporters, repeated errors are only counted.
+     *
+     * @param {App} self The App instance.
+     * @param {*} exception The exception, any thrown value.
+     * @param {Object} [details] Additional report properties, e.g. `source`.
+     * @returns {Object} Returns the error report.
+     */
+    var _reportError = function (self, exception, details) {
+        var error = _isObject(exception) ? exception : {message: String(exception)};
+        var report;
+        var key;
+        var context;
+
+        details = details || {};
+
+        key = [error.name, error.message, details.object, details.method, details.source, details.line].join('|');
+
+        // only count repeated errors
+        if (self.errors.hasOwnProperty(key)) {
+            report = self.errors[key];
+            report.count++;
+
+            return report;
+        }
+
+        // snapshot of opted-in data store paths, must be serializable for reporters
+        if (self.errorContext && self.errorContext.length) {
+            context = {};
+
+            self.each(self.errorContext, function (path) {
+                try {
+                    context[path] = self.parseJson(JSON.stringify(self.get(path)));
+                } catch (ex) {
+                    context[path] = null;
+                }
+            });
+        }
+
+        report = self.errors[key] = self.extend({
+            name: error.name || 'Error',
+            message: error.message,
+            stack: error.stack,
+            object: undefined,
+            method: undefined,
+            prefix: undefined,
+            source: undefined,
+            line: undefined,
+            column: undefined,
+            type: 'error',
+            context: context,
+            time: self.loader ? self.now() - self.loader.time : undefined,
+            timestamp: self.now(),
+            url: window.location && window.location.href,
+            ie: self.ie,
+            count: 1
+        }, details);
+
+        self.each(self.reporters, function (reporter) {
+            // failing reporter must not break the others nor report itself
+            try {
+                reporter.call(self, report, exception);
+            } catch (ex) {
+                self.noop(ex);
+            }
+        });
+
+        return report;
+    };
+
+    /**
+     * Reports uncaught errors and unhandled promise rejections of the window,
+     * the global object without DOM (Node) is left alone.
+     *
+     * @param {App} self The App instance.
+     */
+    var _captureErrors = function (self) {
+        if (!document) {
+            return;
+        }
+
+        var onerror = window.onerror;
+
+        window.onerror = function (message, source, line, column, error) {
+            _reportError(self, error || {name: 'Error', message: message}, {
+                type: 'uncaught',
+                source: source,
+                line: line,
+                column: column
+            });
+
+            if (typeof onerror === 'function') {
+                return onerror.apply(this, arguments);
+            }
+        };
+
+        _addEvent(window, 'unhandledrejection', function (event) {
+            _reportError(self, event.reason, {
+                type: 'unhandledrejection'
+            });
+        });
+    };
+
+    /**
+     * Creates a promise with its resolve and reject functions.
+     *
+     * @returns {{resolve: Function, reject: Function, promise: Promise}}
+     */
+    var _deferred = function () {
+        var deferred = {};
+
+        deferred.promise = new Promise(function (resolve, reject) {
+            deferred.resolve = resolve;
+            deferred.reject = reject;
+        });
+
+        return deferred;
+    };
+
+    /**
+     * Loads script or stylesheet `url`, the same `url` is requested only once.
+     *
+     * @param {App} self The App instance.
+     * @param {string} url The URL to load.
+     * @param {Object} options The `App.prototype.load` options.
+     * @param {Function} callback A function to execute with the asset record.
+     */
+    var _loadAsset = function (self, url, options, callback) {
+        var asset = self.assets[url];
+        var type = options.type || (/\.css([?#]|$)/i.test(url) ? 'css' : 'js');
+        var head;
+        var el;
+        var timer;
+
+        // assets cannot be inserted without DOM
+        if (!document) {
+            callback({url: url, type: type, status: 'unsupported'});
+            return;
+        }
+
+        head = document.head || document.getElementsByTagName('head')[0];
+
+        if (asset) {
+            if (asset.status === 'loading') {
+                asset.callbacks.push(callback);
+            } else {
+                callback(asset);
+            }
+
+            return;
+        }
+
+        asset = self.assets[url] = {
+            url: url,
+            type: type,
+            status: 'loading',
+            start: self.now() - self.loader.time,
+            time: undefined,
+            callbacks: [callback]
+        };
+
+        var done = function (status) {
+            var callbacks = asset.callbacks;
+
+            if (asset.status !== 'loading') {
+                return;
+            }
+
+            clearTimeout(timer);
+            el.onload = el.onerror = el.onreadystatechange = null;
+
+            asset.status = status;
+            asset.time = self.now() - self.loader.time;
+            delete asset.callbacks;
+
+            // failed assets can be requested again
+            if (status !== 'loaded') {
+                delete self.assets[url];
+            }
+
+            self.each(callbacks, function (fn) {
+                fn(asset);
+            });
+        };
+
+        if (type === 'css') {
+            el = document.createElement('link');
+            el.rel = 'stylesheet';
+            el.href = url;
+        } else {
+            el = document.createElement('script');
+            // download in parallel, execute in order of insertion
+            el.async = !options.ordered;
+            el.src = url;
+        }
+
+        el.onload = function () {
+            done('loaded');
+        };
+
+        el.onerror = function () {
+            done('error');
+        };
+
+        // IE < 9 does not fire onload on scripts
+        el.onreadystatechange = function () {
+            if (/^(loaded|complete)$/.test(el.readyState)) {
+                done('loaded');
+            }
+        };
+
+        if (options.timeout > 0) {
+            timer = setTimeout(function () {
+                done('timeout');
+            }, options.timeout);
+        }
+
+        head.appendChild(el);
+    };
+
+    /**
+     * Creates instance of component `name` for `element` and mounts it.
+     * Instance methods are protected, so failing component does not break
+     * the others.
+     *
+     * @param {App} self The App instance.
+     * @param {Element} element The component element.
+     * @param {string} name The component name.
+     * @returns {Object} Returns the component instance.
+     */
+    var _mountComponent = function (self, element, name) {
+        var json = element.getAttribute('data-app-options');
+        var options = {};
+        var instance;
+
+        if (json) {
+            try {
+                options = self.parseJson(json);
+            } catch (ex) {
+                self.error(new Error('App: Invalid options of component "' + name + '", ' + ex.message));
+            }
+        }
+
+        if (!element.id) {
+            element.id = self.getUID(name + '-');
+        }
+
+        instance = self.extend({}, self.components[name], {
+            name: name,
+            id: element.id,
+            element: element,
+            options: options
+        });
+
+        self.protect(instance, name + '#' + element.id);
+        self.instances.push(instance);
+
+        if (typeof instance.mount === 'function') {
+            instance.mount(element, options);
+        }
+
+        return instance;
+    };
+
+    /**
+     * Creates request error.
+     *
+     * @param {string} message The error message.
+     * @param {Object} options The request options.
+     * @param {Object} [response] The response.
+     * @returns {Error} Returns the error with `request`, `response` and `status` properties.
+     */
+    var _requestError = function (message, options, response) {
+        var error = new Error('App: Request ' + options.method + ' ' + options.url + ' ' + message);
+
+        error.request = options;
+        error.response = response;
+        error.status = response ? response.status : 0;
+
+        return error;
+    };
+
+    /**
+     * Creates response of request, body is parsed according to
+     * `options.responseType` or `Content-Type` header.
+     *
+     * @param {App} self The App instance.
+     * @param {Object} options The request options.
+     * @param {number} status The HTTP status.
+     * @param {string} text The response body.
+     * @param {Function} header(name) A function getting response header.
+     * @returns {Object} Returns the response.
+     */
+    var _response = function (self, options, status, text, header) {
+        var type = options.responseType;
+        var contentType = header('Content-Type') || '';
+
+        if (!type) {
+            type = /json/i.test(contentType) ? 'json' : (/html/i.test(contentType) ? 'html' : 'text');
+        }
+
+        return {
+            url: options.url,
+            status: status,
+            header: header,
+            text: text,
+            data: type === 'json' ? (text ? self.parseJson(text) : null) : (type === 'html' ? self.parseHtml(text) : text)
+        };
+    };
+
+    /**
+     * Sends request by `fetch` if it can be aborted, else by XHR.
+     *
+     * @param {App} self The App instance.
+     * @param {Object} options The request options.
+     * @param {Function} callback(error, response) A function to execute asynchronously once completed.
+     * @returns {{abort: Function}} Returns the handle to abort the request.
+     */
+    var _send = function (self, options, callback) {
+        var url = options.url;
+        var headers = self.extend({}, options.headers);
+        var body = options.data;
+        var done = false;
+        var timer;
+        var xhr;
+        var controller;
+
+        if (_isObject(body) && !(window.FormData && body instanceof window.FormData)) {
+            if (options.method === 'GET') {
+                var query = [];
+
+                self.forEach(body, function (value, key) {
+                    query.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+                });
+
+                url += (url.indexOf('?') === -1 ? '?' : '&') + query.join('&');
+                body = undefined;
+            } else {
+                body = JSON.stringify(body);
+                headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+            }
+        }
+
+        if (options.responseType === 'json') {
+            headers.Accept = headers.Accept || 'application/json';
+        }
+
+        var complete = function (error, status, text, header) {
+            var response;
+
+            if (done) {
+                return;
+            }
+
+            done = true;
+            clearTimeout(timer);
+
+            if (!error) {
+                try {
+                    response = _response(self, options, status, text, header);
+                } catch (ex) {
+                    error = _requestError('returned invalid response, ' + ex.message, options);
+                }
+            }
+
+            if (!error && (status < 200 || status >= 300) && status !== 304) {
+                error = _requestError('failed with status ' + status, options, response);
+            }
+
+            // out of XHR and fetch callbacks
+            setTimeout(function () {
+                callback(error || null, response);
+            }, 0);
+        };
+
+        if (window.fetch && window.AbortController && options.fetch !== false) {
+            controller = new window.AbortController();
+
+            window.fetch(url, {
+                method: options.method,
+                headers: headers,
+                body: body,
+                credentials: options.credentials ? 'include' : 'same-origin',
+                signal: controller.signal
+            }).then(function (res) {
+                return res.text().then(function (text) {
+                    complete(null, res.status, text, function (name) {
+                        return res.headers.get(name);
+                    });
+                });
+            })['catch'](function () {
+                complete(_requestError('failed', options));
+            });
+        } else {
+            //noinspection JSUnresolvedFunction
+            xhr = window.XMLHttpRequest ? new XMLHttpRequest() : new ActiveXObject('Microsoft.XMLHTTP');
+            xhr.open(options.method, url, true);
+            xhr.withCredentials = !!options.credentials;
+
+            for (var name in headers) {
+                if (headers.hasOwnProperty(name)) {
+                    xhr.setRequestHeader(name, headers[name]);
+                }
+            }
+
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState !== 4) {
+                    return;
+                }
+
+                if (xhr.status === 0) {
+                    complete(_requestError('failed', options));
+                } else {
+                    complete(null, xhr.status, xhr.responseText, function (name) {
+                        return xhr.getResponseHeader(name);
+                    });
+                }
+            };
+
+            xhr.send(typeof body === 'undefined' ? null : body);
+        }
+
+        var abort = function (error) {
+            complete(error);
+
+            if (controller) {
+                controller.abort();
+            } else {
+                xhr.abort();
+            }
+        };
+
+        if (options.timeout > 0) {
+            timer = setTimeout(function () {
+                abort(_requestError('timed out after ' + options.timeout + 'ms', options));
+            }, options.timeout);
+        }
+
+        return {
+            abort: function () {
+                var error = _requestError('aborted', options);
+
+                error.aborted = true;
+                abort(error);
+            }
+        };
+    };
+
+    /**
+     * Creates promise of one caller of shared request. Aborting it rejects
+     * only this promise, the request itself is aborted once no caller waits
+     * for it.
+     *
+     * @param {App} self The App instance.
+     * @param {{promise: Promise, abort: Function, callers: number}} shared The shared request.
+     * @param {Object} options The request options.
+     * @returns {Promise} Returns promise resolved with response, with `abort` method.
+     */
+    var _subscribe = function (self, shared, options) {
+        var waiting = true;
+        var detach;
+        var promise = new Promise(function (resolve, reject) {
+            detach = reject;
+
+            shared.promise.then(function (response) {
+                waiting = false;
+                resolve(response);
+            }, function (error) {
+                waiting = false;
+                reject(error);
+            });
+        });
+
+        shared.callers++;
+
+        // error is reported by `error`, do not report it as unhandled
+        promise['catch'](self.noop);
+
+        promise.abort = function () {
+            if (!waiting) {
+                return;
+            }
+
+            var error = _requestError('aborted', options);
+
+            waiting = false;
+            error.aborted = true;
+            detach(error);
+
+            if (--shared.callers === 0) {
+                shared.abort();
+            }
+        };
+
+        return promise;
+    };
+
+    /**
+     * Marks missing value in template lookups.
+     *
+     * @type {Object}
+     */
+    var missing = {};
+
+    /**
+     * Parses template `source` to tree of text, variable, block and partial
+     * nodes.
+     *
+     * @param {string} source The template source.
+     * @returns {Array} Returns the template nodes.
+     * @throws Will throw an error if blocks are not properly closed.
+     */
+    var _compileTemplate = function (source) {
+        var re = /\{\{(\{)?\s*([#\/>!&]?)\s*([\s\S]*?)\s*\}?\}\}/g;
+        var root = {children: []};
+        var stack = [root];
+        var current = root;
+        var nodes = root.children;
+        var index = 0;
+        var match;
+
+        while ((match = re.exec(source)) !== null) {
+            var sigil = match[2];
+            var content = match[3];
+            var space = content.indexOf(' ');
+
+            if (match.index > index) {
+                nodes.push({type: 'text', value: source.substring(index, match.index)});
+            }
+
+            index = re.lastIndex;
+
+            if (sigil === '!') {
+                continue;
+            } else if (sigil === '#') {
+                current = {
+                    type: 'block',
+                    helper: space === -1 ? content : content.substring(0, space),
+                    path: space === -1 ? 'this' : App.prototype.trim(content.substring(space + 1)),
+                    children: [],
+                    inverse: []
+                };
+                nodes.push(current);
+                stack.push(current);
+                nodes = current.children;
+            } else if (sigil === '/') {
+                if (stack.length === 1 || current.helper !== content) {
+                    throw new Error('App: Unexpected {{/' + content + '}} in template');
+                }
+
+                stack.pop();
+                current = stack[stack.length - 1];
+                nodes = current.children;
+            } else if (sigil === '' && content === 'else' && stack.length > 1) {
+                nodes = current.inverse;
+            } else if (sigil === '>') {
+                nodes.push({type: 'partial', name: content});
+            } else {
+                nodes.push({type: 'var', path: content, raw: match[1] === '{' || sigil === '&'});
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error('App: Unclosed {{#' + current.helper + '}} in template');
+        }
+
+        if (index < source.length) {
+            nodes.push({type: 'text', value: source.substring(index)});
+        }
+
+        return root.children;
+    };
+
+    /**
+     * Looks up `path` in template context frames, from the innermost one,
+     * then in App data store.
+     *
+     * @param {App} self The App instance.
+     * @param {string} path The path, `this`, `@index`, `@key`, `@first` or `@last`.
+     * @param {Array} frames The context frames.
+     * @returns {*} Returns the resolved value.
+     */
+    var _lookup = function (self, path, frames) {
+        var value;
+
+        if (path === 'this' || path === '.') {
+            return frames[frames.length - 1].context;
+        }
+
+        if (path.charAt(0) === '@') {
+            return frames[frames.length - 1].vars[path.substring(1)];
+        }
+
+        path = path.replace(/^this\./, '');
+
+        for (var i = frames.length - 1; i >= 0; i--) {
+            value = _getOrSet(frames[i].context, path, missing);
+
+            if (value !== missing) {
+                return value;
+            }
+        }
+
+        return _getOrSet(self.data, _storePath(self, path));
+    };
+
+    /**
+     * Gets template `name` registered by `template`, or registers it from
+     * element of the same ID.
+     *
+     * @param {App} self The App instance.
+     * @param {string} name The template name.
+     * @returns {Function|undefined} Returns the template.
+     */
+    var _findTemplate = function (self, name) {
+        var element;
+
+        if (!self.templates.hasOwnProperty(name)) {
+            element = document.getElementById(name);
+
+            if (!element) {
+                self.error(new Error('App: Template "' + name + '" is not defined'));
+
+                return;
+            }
+
+            self.template(name, element.innerHTML);
+        }
+
+        return self.templates[name];
+    };
+
+    /**
+     * Renders template `nodes` with context `frames`.
+     *
+     * @param {App} self The App instance.
+     * @param {Array} nodes The template nodes.
+     * @param {Array} frames The context frames.
+     * @returns {string} Returns the rendered string.
+     */
+    var _renderTemplate = function (self, nodes, frames) {
+        var output = '';
+
+        self.each(nodes, function (node) {
+            var value;
+
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+                case 'var':
+                    value = _lookup(self, node.path, frames);
+                    value = typeof value === 'function' ? value.call(frames[frames.length - 1].context) : value;
+                    value = value === null || typeof value === 'undefined' ? '' : String(value);
+                    output += node.raw ? value : self.escapeHtml(value);
+                    break;
+                case 'partial':
+                    value = _findTemplate(self, node.name);
+                    output += value ? _renderTemplate(self, value.nodes, frames) : '';
+                    break;
+                case 'block':
+                    value = _lookup(self, node.path, frames);
+
+                    var truthy = self.isArray(value) ? value.length > 0 : !!value;
+
+                    if (node.helper === 'each' && truthy && _isObject(value)) {
+                        var keys = [];
+
+                        if (self.isArray(value)) {
+                            keys = self.map(value, function (item, index) {
+                                return index;
+                            });
+                        } else {
+                            self.forEach(value, function (item, key) {
+                                keys.push(key);
+                            });
+                        }
+
+                        self.each(keys, function (key, i) {
+                            output += _renderTemplate(self, node.children, frames.concat({
+                                context: value[key],
+                                vars: {index: i, key: key, first: i === 0, last: i === keys.length - 1}
+                            }));
+                        });
+                    } else if (node.helper === 'if' || node.helper === 'unless') {
+                        output += _renderTemplate(self, truthy === (node.helper === 'if') ? node.children : node.inverse, frames);
+                    } else if (node.helper === 'with' && truthy) {
+                        output += _renderTemplate(self, node.children, frames.concat({context: value, vars: {}}));
+                    } else {
+                        output += _renderTemplate(self, node.inverse, frames);
+                    }
+                    break;
+            }
+        });
+
+        return output;
+    };
+
+    /**
+     * Gets milliseconds elapsed since `origin` of performance timeline,
+     * using `performance.now()` if available.
+     *
+     * @returns {number} Returns the current time of performance timeline.
+     */
+    var _perfNow = function () {
+        return performance && performance.now ? performance.now() : new Date().getTime() - perfOrigin;
+    };
+
+    /**
+     * Creates performance timeline recording marks and measures, which are
+     * passed to User Timing API if available.
+     *
+     * @returns {Object} Returns the performance timeline.
+     */
+    var _perf = function () {
+        return {
+            /**
+             * Epoch milliseconds of timeline start.
+             *
+             * @type {number}
+             */
+            origin: perfOrigin,
+
+            /** @type {Array} */
+            marks: [],
+
+            /** @type {Array} */
+            measures: [],
+
+            /**
+             * @returns {number} Returns the current time of performance timeline.
+             */
+            now: _perfNow,
+
+            /**
+             * Records mark `name`.
+             *
+             * @param {string} name The mark name.
+             * @param {number} [time] The mark time, now by default.
+             * @returns {Object} Returns the mark.
+             */
+            mark: function (name, time) {
+                var mark = {
+                    name: name,
+                    time: typeof time === 'number' ? time : _perfNow()
+                };
+
+                this.marks.push(mark);
+
+                try {
+                    performance.mark(name, typeof time === 'number' ? {startTime: time} : undefined);
+                } catch (ex) {
+                    // not supported, or `startTime` option is not
+                }
+
+                return mark;
+            },
+
+            /**
+             * Records measure `name` between `start` and `end`.
+             *
+             * @param {string} name The measure name.
+             * @param {string|number} start The start mark name or time.
+             * @param {string|number} [end] The end mark name or time, now by default.
+             * @returns {Object} Returns the measure.
+             */
+            measure: function (name, start, end) {
+                var measure;
+
+                start = this.time(start);
+                end = typeof end === 'undefined' ? _perfNow() : this.time(end);
+
+                measure = {
+                    name: name,
+                    start: start,
+                    duration: end - start
+                };
+
+                this.measures.push(measure);
+
+                try {
+                    performance.measure(name, {start: start, end: end});
+                } catch (ex) {
+                    // not supported
+                }
+
+                return measure;
+            },
+
+            /**
+             * Gets time of the last mark `name`.
+             *
+             * @param {string|number} mark The mark name or time.
+             * @returns {number|undefined} Returns the mark time.
+             */
+            time: function (mark) {
+                if (typeof mark === 'number') {
+                    return mark;
+                }
+
+                for (var i = this.marks.length - 1; i >= 0; i--) {
+                    if (this.marks[i].name === mark) {
+                        return this.marks[i].time;
+                    }
+                }
+            },
+
+            /**
+             * Gets JSON serializable report of the timeline, measures of
+             * ready handlers and modules are also listed from the slowest.
+             *
+             * @returns {Object} Returns the report.
+             */
+            report: function () {
+                var slowest = [];
+
+                for (var i = 0; i < this.measures.length; i++) {
+                    if (/^(ready|module):/.test(this.measures[i].name)) {
+                        slowest.push(this.measures[i]);
+                    }
+                }
+
+                slowest.sort(function (a, b) {
+                    return b.duration - a.duration;
+                });
+
+                return {
+                    origin: this.origin,
+                    marks: this.marks.slice(),
+                    measures: this.measures.slice(),
+                    slowest: slowest
+                };
+            }
+        };
+    };
+
+    //-------------------------------------------------------------------------
+    // DOM Helpers
+    //-------------------------------------------------------------------------
+
+    /**
+     * Registered DOM event listeners, needed to remove them by `off`.
+     *
+     * @type {Array}
+     */
+    var domListeners = [];
+
+    /**
+     * Converts array-like `list` (e.g. `NodeList`) to array, `slice` can not
+     * be used for host objects in IE < 9.
+     *
+     * @param {Array|NodeList|HTMLCollection} list The list to convert.
+     * @returns {Array} Returns the new array.
+     */
+    var _toArray = function (list) {
+        var array = [];
+
+        for (var i = 0; i < list.length; i++) {
+            array.push(list[i]);
+        }
+
+        return array;
+    };
+
+    /**
+     * Gets elements matching `selector` within `context`. IE < 8 supports
+     * only simple selectors, e.g. `#id`, `tag`, `.class` or `tag.class`.
+     *
+     * @param {Element|Document} context The element to search in.
+     * @param {string} selector The CSS selector.
+     * @returns {Element[]} Returns the matched elements.
+     */
+    var _query = function (context, selector) {
+        var match;
+        var elements;
+        var results = [];
+
+        if (context.querySelectorAll) {
+            return _toArray(context.querySelectorAll(selector));
+        }
+
+        match = /^(?:#([\w-]+)|(\w+)?(?:\.([\w-]+))?)$/.exec(selector);
+
+        if (match === null) {
+            return results;
+        }
+
+        if (match[1]) {
+            elements = [document.getElementById(match[1])];
+        } else {
+            elements = context.getElementsByTagName(match[2] || '*');
+        }
+
+        for (var i = 0; i < elements.length; i++) {
+            if (elements[i] && (!match[3] || _hasClass(elements[i], match[3]))) {
+                results.push(elements[i]);
+            }
+        }
+
+        return results;
+    };
+
+    /**
+     * Checks if `element` matches `selector`.
+     *
+     * @param {Element} element The element to check.
+     * @param {string} selector The CSS selector.
+     * @returns {boolean} Returns `true` if `element` matches, else `false`.
+     */
+    var _matches = function (element, selector) {
+        var fn;
+        var candidates;
+
+        if (!element || element.nodeType !== 1) {
+            return false;
+        }
+
+        fn = element.matches || element.msMatchesSelector || element.webkitMatchesSelector || element.mozMatchesSelector;
+
+        if (fn) {
+            return fn.call(element, selector);
+        }
+
+        candidates = _query(document, selector);
+
+        for (var i = 0; i < candidates.length; i++) {
+            if (candidates[i] === element) {
+                return true;
+            }
+        }
+
+        return false;
+    };
+
+    /**
+     * Checks if `element` has class `name`.
+     *
+     * @param {Element} element The element to check.
+     * @param {string} name The class name.
+     * @returns {boolean} Returns `true` if `element` has the class, else `false`.
+     */
+    var _hasClass = function (element, name) {
+        return (' ' + element.className + ' ').indexOf(' ' + name + ' ') !== -1;
+    };
+
+    /**
+     * Parses `html` to top level nodes, unlike `parseHtml` text nodes are
+     * included.
+     *
+     * @param {string} html The HTML string.
+     * @returns {Node[]} Returns the nodes.
+     */
+    var _parseNodes = function (html) {
+        var el = document.createElement('div');
+
+        el.innerHTML = html;
+
+        return _toArray(el.childNodes);
+    };
+
+    /**
+     * Converts insertion `content` to document fragment, text nodes of HTML
+     * string are kept.
+     *
+     * @param {string|Element|Dom|Array} content The HTML string, element or list of elements.
+     * @param {boolean} clone Insert copies of the elements.
+     * @returns {DocumentFragment} Returns the fragment.
+     */
+    var _fragment = function (content, clone) {
+        var fragment = document.createDocumentFragment();
+        var nodes;
+
+        if (typeof content === 'string') {
+            nodes = _parseNodes(content);
+        } else if (content && content.nodeType) {
+            nodes = [content];
+        } else if (content instanceof Dom) {
+            nodes = content.nodes;
+        } else {
+            nodes = _toArray(content || []);
+        }
+
+        for (var i = 0; i < nodes.length; i++) {
+            fragment.appendChild(clone ? nodes[i].cloneNode(true) : nodes[i]);
+        }
+
+        return fragment;
+    };
+
+    /**
+     * Normalizes IE < 9 event object.
+     *
+     * @param {Event} event The event object.
+     * @returns {Event} Returns the event.
+     */
+    var _fixEvent = function (event) {
+        if (!event.target) {
+            event.target = event.srcElement;
+        }
+
+        if (!event.preventDefault) {
+            event.preventDefault = function () {
+                event.returnValue = false;
+            };
+        }
+
+        if (!event.stopPropagation) {
+            event.stopPropagation = function () {
+                event.cancelBubble = true;
+            };
+        }
+
+        return event;
+    };
+
+    /**
+     * Removes DOM event listener, `detachEvent` is used in IE < 9.
+     *
+     * @param {EventTarget} target The event target.
+     * @param {string} type The event type.
+     * @param {Function} handler The listener to remove.
+     */
+    var _removeEvent = function (target, type, handler) {
+        if (target.removeEventListener) {
+            target.removeEventListener(type, handler, false);
+        } else if (target.detachEvent) {
+            //noinspection JSUnresolvedFunction
+            target.detachEvent('on' + type, handler);
+        }
+    };
+
+    /**
+     * Chainable wrapper of DOM elements. Wrapper created from HTML string
+     * keeps its text nodes in `nodes` for insertion, `elements` are only
+     * the element nodes.
+     *
+     * @param {string|Element|Array|NodeList|Dom} [selector] The CSS selector, HTML string, element or list of elements.
+     * @param {Element|Dom} [context=document] The element to search in.
+     * @constructor
+     */
+    var Dom = function (selector, context) {
+        var elements = [];
+        var nodes;
+
+        if (selector instanceof Dom) {
+            elements = selector.elements.slice();
+            nodes = selector.nodes.slice();
+        } else if (typeof selector === 'string' && /^\s*</.test(selector)) {
+            nodes = _parseNodes(selector);
+
+            for (var i = 0; i < nodes.length; i++) {
+                if (nodes[i].nodeType === 1) {
+                    elements.push(nodes[i]);
+                }
+            }
+        } else if (typeof selector === 'string') {
+            elements = new Dom(context || document).find(selector).elements;
+        } else if (selector && (selector.nodeType || selector === selector.window)) {
+            elements = [selector];
+        } else if (selector) {
+            elements = _toArray(selector);
+        }
+
+        this.elements = elements;
+        this.nodes = nodes || elements;
+        this.length = elements.length;
+    };
+
+    Dom.prototype = {
+        constructor: Dom,
+
+        /**
+         * Iterates over elements, `this` of `iteratee` is the element,
+         * returning `false` stops the iteration.
+         *
+         * @param {Function} iteratee(element, index) The function invoked per element.
+         * @returns {Dom} Returns the wrapper.
+         */
+        each: function (iteratee) {
+            for (var i = 0; i < this.elements.length; i++) {
+                if (iteratee.call(this.elements[i], this.elements[i], i) === false) {
+                    break;
+                }
+            }
+
+            return this;
+        },
+
+        /**
+         * @param {number} index The element index, negative counts from the end.
+         * @returns {Element|undefined} Returns the element.
+         */
+        get: function (index) {
+            return this.elements[index < 0 ? this.elements.length + index : index];
+        },
+
+        /**
+         * @param {number} index The element index, negative counts from the end.
+         * @returns {Dom} Returns wrapper of the element.
+         */
+        eq: function (index) {
+            var element = this.get(index);
+
+            return new Dom(element ? [element] : []);
+        },
+
+        /**
+         * @returns {Dom} Returns wrapper of the first element.
+         */
+        first: function () {
+            return this.eq(0);
+        },
+
+        /**
+         * Gets descendants matching `selector`.
+         *
+         * @param {string} selector The CSS selector.
+         * @returns {Dom} Returns wrapper of unique matched elements.
+         */
+        find: function (selector) {
+            var results = [];
+
+            this.each(function (element) {
+                var matched = _query(element, selector);
+
+                for (var i = 0; i < matched.length; i++) {
+                    if (App.prototype.indexOf(results, matched[i]) === -1) {
+                        results.push(matched[i]);
+                    }
+                }
+            });
+
+            return new Dom(results);
+        },
+
+        /**
+         * Gets elements matching `selector`.
+         *
+         * @param {string} selector The CSS selector.
+         * @returns {Dom} Returns wrapper of matched elements.
+         */
+        filter: function (selector) {
+            var results = [];
+
+            this.each(function (element) {
+                if (_matches(element, selector)) {
+                    results.push(element);
+                }
+            });
+
+            return new Dom(results);
+        },
+
+        /**
+         * Gets the closest ancestor of each element, including the element
+         * itself, matching `selector`.
+         *
+         * @param {string} selector The CSS selector.
+         * @returns {Dom} Returns wrapper of unique matched elements.
+         */
+        closest: function (selector) {
+            var results = [];
+
+            this.each(function (element) {
+                while (element && !_matches(element, selector)) {
+                    element = element.parentNode;
+                }
+
+                if (element && App.prototype.indexOf(results, element) === -1) {
+                    results.push(element);
+                }
+            });
+
+            return new Dom(results);
+        },
+
+        /**
+         * @param {string} name The class name.
+         * @returns {boolean} Returns `true` if any element has the class, else `false`.
+         */
+        hasClass: function (name) {
+            for (var i = 0; i < this.elements.length; i++) {
+                if (_hasClass(this.elements[i], name)) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
+        /**
+         * @param {string} names Space separated class names.
+         * @returns {Dom} Returns the wrapper.
+         */
+        addClass: function (names) {
+            return this.toggleClass(names, true);
+        },
+
+        /**
+         * @param {string} names Space separated class names.
+         * @returns {Dom} Returns the wrapper.
+         */
+        removeClass: function (names) {
+            return this.toggleClass(names, false);
+        },
+
+        /**
+         * Adds or removes classes depending on their presence or `state`.
+         *
+         * @param {string} names Space separated class names.
+         * @param {boolean} [state] Add classes if `true`, remove if `false`.
+         * @returns {Dom} Returns the wrapper.
+         */
+        toggleClass: function (names, state) {
+            names = App.prototype.trim(names).split(/\s+/);
+
+            return this.each(function (element) {
+                for (var i = 0; i < names.length; i++) {
+                    var has = _hasClass(element, names[i]);
+                    var add = typeof state === 'boolean' ? state : !has;
+
+                    if (add && !has) {
+                        element.className = App.prototype.trim(element.className + ' ' + names[i]);
+                    } else if (!add && has) {
+                        element.className = App.prototype.trim((' ' + element.className + ' ')
+                            .replace(' ' + names[i] + ' ', ' ').replace(/\s+/g, ' '));
+                    }
+                }
+            });
+        },
+
+        /**
+         * Gets attribute of the first element or sets attributes of all
+         * elements.
+         *
+         * @param {string|Object} name The attribute name or map of attributes to set.
+         * @param {string} [value] The value to set.
+         * @returns {string|null|Dom} Returns the attribute value or the wrapper.
+         */
+        attr: function (name, value) {
+            var attributes = name;
+
+            if (typeof name === 'string' && typeof value === 'undefined') {
+                return this.elements[0] ? this.elements[0].getAttribute(name) : null;
+            }
+
+            if (typeof name === 'string') {
+                attributes = {};
+                attributes[name] = value;
+            }
+
+            return this.each(function (element) {
+                for (var key in attributes) {
+                    if (attributes.hasOwnProperty(key)) {
+                        element.setAttribute(key, String(attributes[key]));
+                    }
+                }
+            });
+        },
+
+        /**
+         * @param {string} name The attribute name.
+         * @returns {Dom} Returns the wrapper.
+         */
+        removeAttr: function (name) {
+            return this.each(function (element) {
+                element.removeAttribute(name);
+            });
+        },
+
+        /**
+         * Gets `data-*` attribute of the first element, JSON values are
+         * parsed, or sets it on all elements.
+         *
+         * @param {string} key The data key, e.g. `appOptions` for `data-app-options`.
+         * @param {*} [value] The value to set, objects are stored as JSON.
+         * @returns {*} Returns the data value or the wrapper.
+         */
+        data: function (key, value) {
+            var name = 'data-' + App.prototype.parseCamelCase(key).join('-');
+
+            if (typeof value === 'undefined') {
+                value = this.attr(name);
+
+                try {
+                    return value === null ? undefined : App.prototype.parseJson(value);
+                } catch (ex) {
+                    return value;
+                }
+            }
+
+            return this.attr(name, typeof value === 'string' ? value : JSON.stringify(value));
+        },
+
+        /**
+         * Gets inner HTML of the first element or sets it on all elements.
+         *
+         * @param {string} [html] The HTML to set.
+         * @returns {string|Dom} Returns the HTML or the wrapper.
+         */
+        html: function (html) {
+            if (typeof html === 'undefined') {
+                return this.elements[0] ? this.elements[0].innerHTML : undefined;
+            }
+
+            return this.each(function (element) {
+                element.innerHTML = html;
+            });
+        },
+
+        /**
+         * Inserts `content` at the end of each element.
+         *
+         * @param {string|Element|Dom|Array} content The HTML string, element or list of elements.
+         * @returns {Dom} Returns the wrapper.
+         */
+        append: function (content) {
+            return this.each(function (element, i) {
+                element.appendChild(_fragment(content, i > 0));
+            });
+        },
+
+        /**
+         * Inserts `content` at the beginning of each element.
+         *
+         * @param {string|Element|Dom|Array} content The HTML string, element or list of elements.
+         * @returns {Dom} Returns the wrapper.
+         */
+        prepend: function (content) {
+            return this.each(function (element, i) {
+                element.insertBefore(_fragment(content, i > 0), element.firstChild);
+            });
+        },
+
+        /**
+         * Inserts `content` before each element.
+         *
+         * @param {string|Element|Dom|Array} content The HTML string, element or list of elements.
+         * @returns {Dom} Returns the wrapper.
+         */
+        before: function (content) {
+            return this.each(function (element, i) {
+                element.parentNode.insertBefore(_fragment(content, i > 0), element);
+            });
+        },
+
+        /**
+         * Inserts `content` after each element.
+         *
+         * @param {string|Element|Dom|Array} content The HTML string, element or list of elements.
+         * @returns {Dom} Returns the wrapper.
+         */
+        after: function (content) {
+            return this.each(function (element, i) {
+                element.parentNode.insertBefore(_fragment(content, i > 0), element.nextSibling);
+            });
+        },
+
+        /**
+         * Removes elements from the document, their listeners are removed too.
+         *
+         * @returns {Dom} Returns the wrapper.
+         */
+        remove: function () {
+            this.off();
+
+            return this.each(function (element) {
+                if (element.parentNode) {
+                    element.parentNode.removeChild(element);
+                }
+            });
+        },
+
+        /**
+         * Adds listener of space separated `events`, e.g. `click.myWidget`.
+         * With `selector` the listener is delegated, executed only for
+         * descendants matching it, which are `this` of the `handler`.
+         * Returning `false` prevents default and stops propagation.
+         *
+         * @param {string} events The event names.
+         * @param {string} [selector] The CSS selector of delegated elements.
+         * @param {Function} handler(event) A function to execute when the event occurs.
+         * @returns {Dom} Returns the wrapper.
+         * @example
+         *
+         * app.$('#cart').on('click.cart', 'button.remove', function (event) { ... });
+         */
+        on: function (events, selector, handler) {
+            if (typeof selector === 'function') {
+                handler = selector;
+                selector = undefined;
+            }
+
+            events = _parseEvents(events);
+
+            return this.each(function (element) {
+                App.prototype.each(events, function (event) {
+                    var listener = function (e) {
+                        var target = element;
+
+                        e = _fixEvent(e || window.event);
+
+                        if (selector) {
+                            target = e.target;
+
+                            while (target && target !== element && !_matches(target, selector)) {
+                                target = target.parentNode;
+                            }
+
+                            if (!target || target === element) {
+                                return;
+                            }
+                        }
+
+                        if (handler.call(target, e) === false) {
+                            e.preventDefault();
+                            e.stopPropagation();
+                        }
+                    };
+
+                    _addEvent(element, event.type, listener);
+
+                    domListeners.push({
+                        element: element,
+                        type: event.type,
+                        namespace: event.namespace,
+                        selector: selector,
+                        handler: handler,
+                        listener: listener
+                    });
+                });
+            });
+        },
+
+        /**
+         * Removes listeners of `events`, `selector` and `handler`, all of
+         * them are optional, e.g. `.myWidget` removes all listeners of the
+         * namespace.
+         *
+         * @param {string} [events] The event names.
+         * @param {string} [selector] The CSS selector of delegated elements.
+         * @param {Function} [handler] The handler to remove.
+         * @returns {Dom} Returns the wrapper.
+         */
+        off: function (events, selector, handler) {
+            var self = this;
+            var parsed = typeof events === 'string' ? _parseEvents(events) : [{type: '', namespace: ''}];
+            var listeners = domListeners.splice(0, domListeners.length);
+
+            if (typeof selector === 'function') {
+                handler = selector;
+                selector = undefined;
+            }
+
+            App.prototype.each(listeners, function (item) {
+                var matches = App.prototype.indexOf(self.elements, item.element) !== -1 &&
+                    (typeof selector === 'undefined' || selector === item.selector) &&
+                    (typeof handler !== 'function' || handler === item.handler);
+
+                for (var i = 0; matches && i < parsed.length; i++) {
+                    if ((parsed[i].type === '' || parsed[i].type === item.type) &&
+                        (parsed[i].namespace === '' || parsed[i].namespace === item.namespace)) {
+                        _removeEvent(item.element, item.type, item.listener);
+                        return;
+                    }
+                }
+
+                domListeners.push(item);
+            });
+
+            return this;
+        }
+    };
+
+    /**
+     * Checks if `node` is `root` or its descendant.
+     *
+     * @param {Node} root The container node.
+     * @param {Node} node The node to check.
+     * @returns {boolean} Returns `true` if `root` contains `node`, else `false`.
+     */
+    var _contains = function (root, node) {
+        root = root.nodeType === 9 ? root.documentElement : root;
+
+        if (root === node) {
+            return true;
+        }
+
+        return root.contains ? root.contains(node) : !!(root.compareDocumentPosition(node) & 16);
+    };
+
+    /**
+     * Wraps DOM elements to chainable `Dom` object.
+     *
+     * @param {string|Element|Array|NodeList|Dom} [selector] The CSS selector, HTML string, element or list of elements.
+     * @param {Element|Dom} [context=document] The element to search in.
+     * @returns {Dom} Returns the wrapper.
+     */
+    var $ = function (selector, context) {
+        return new Dom(selector, context);
+    };
+
+    /** @borrows Dom.prototype as $.fn */
+    $.fn = Dom.prototype;
+
+    //-------------------------------------------------------------------------
+    // Router
+    //-------------------------------------------------------------------------
+
+    /**
+     * Compiles route `pattern` with named params (`/user/:id`) and splat
+     * (`/files/*`) to regular expression.
+     *
+     * @param {string|RegExp} pattern The route pattern.
+     * @returns {{regexp: RegExp, keys: Array}} Returns the compiled route.
+     */
+    var _compileRoute = function (pattern) {
+        var keys = [];
+        var source;
+
+        if (pattern instanceof RegExp) {
+            return {regexp: pattern, keys: keys};
+        }
+
+        source = String(pattern)
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/:(\w+)/g, function (match, key) {
+                keys.push(key);
+                return '([^/]+)';
+            })
+            .replace(/\*/g, function () {
+                keys.push('splat');
+                return '(.*)';
+            });
+
+        return {regexp: new RegExp('^' + source.replace(/\/$/, '') + '/?$'), keys: keys};
+    };
+
+    /**
+     * Parses query string, repeated keys are collected in array.
+     *
+     * @param {string} search The query string with or without leading `?`.
+     * @returns {Object} Returns the parsed query.
+     */
+    var _parseQuery = function (search) {
+        var query = {};
+
+        App.prototype.each(search.replace(/^\?/, '').split('&'), function (pair) {
+            var index = pair.indexOf('=');
+            var key = index === -1 ? pair : pair.substring(0, index);
+            var value = index === -1 ? '' : pair.substring(index + 1);
+
+            if (key === '') {
+                return;
+            }
+
+            key = decodeURIComponent(key.replace(/\+/g, ' '));
+            value = decodeURIComponent(value.replace(/\+/g, ' '));
+
+            if (!Object.prototype.hasOwnProperty.call(query, key)) {
+                query[key] = value;
+            } else if (App.prototype.isArray(query[key])) {
+                query[key].push(value);
+            } else {
+                query[key] = [query[key], value];
+            }
+        });
+
+        return query;
+    };
+
+    /**
+     * Strips router `root` from `pathname`, the root must be followed by `/`
+     * or end, e.g. `/app` matches `/app/x` but not `/application`.
+     *
+     * @param {string} pathname The path of location.
+     * @param {string} root The router root without trailing slash.
+     * @returns {string|null} Returns the path under root, `null` if outside of it.
+     */
+    var _stripRoot = function (pathname, root) {
+        var next = pathname.charAt(root.length);
+
+        if (pathname.indexOf(root) !== 0 || (next !== '' && next !== '/' && next !== '?')) {
+            return null;
+        }
+
+        return pathname.substring(root.length);
+    };
+
+    /**
+     * Gets URL of the current location relative to the router, i.e. path
+     * and query of the hash or of the location under `root`.
+     *
+     * @param {App} self The App instance.
+     * @returns {string} Returns the URL, e.g. `/user/1?tab=info`.
+     */
+    var _routeUrl = function (self) {
+        var routing = self.routing;
+        var location = window.location;
+        var url;
+
+        if (routing.mode === 'history') {
+            url = _stripRoot(location.pathname, routing.root);
+            url = (url === null ? location.pathname : url) + location.search;
+        } else {
+            url = location.hash.replace(/^#!?/, '');
+        }
+
+        return url.charAt(0) === '/' ? url : '/' + url;
+    };
+
+    /**
+     * Writes router `url` to location, history entry is added unless
+     * `replace` is set.
+     *
+     * @param {App} self The App instance.
+     * @param {string} url The router URL.
+     * @param {boolean} [replace] Replace the current history entry.
+     */
+    var _setRouteUrl = function (self, url, replace) {
+        var location = window.location;
+
+        if (self.routing.mode === 'history') {
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', self.routing.root + url);
+        } else if (replace) {
+            location.replace(location.href.replace(/#.*$/, '') + '#' + url);
+        } else {
+            location.hash = url;
+        }
+    };
+
+    /**
+     * Matches `url` against routes and runs guards and handler of the
+     * matched route or the not found handler.
+     *
+     * @param {App} self The App instance.
+     * @param {string} url The router URL.
+     * @param {boolean} [replace] Replace the current history entry on redirect.
+     * @param {Function} [commit] Writes `url` to location once the guards pass,
+     *  location is restored when omitted and navigation is cancelled.
+     * @returns {boolean} Returns `false` if navigation was cancelled or redirected, else `true`.
+     */
+    var _dispatch = function (self, url, replace, commit) {
+        var routing = self.routing;
+        var from = routing.current;
+        var index = url.indexOf('?');
+        var route = {
+            url: url,
+            path: index === -1 ? url : url.substring(0, index),
+            query: _parseQuery(index === -1 ? '' : url.substring(index + 1)),
+            params: {},
+            pattern: null
+        };
+        var handler = routing.notFound;
+        var cancelled = false;
+
+        self.each(self.routes, function (item) {
+            var match = item.regexp.exec(route.path);
+
+            if (!match) {
+                return;
+            }
+
+            for (var i = 1; i < match.length; i++) {
+                route.params[item.keys[i - 1] || i - 1] = match[i] === undefined ? undefined : decodeURIComponent(match[i]);
+            }
+
+            route.pattern = item.pattern;
+            handler = item.handler;
+
+            return false;
+        });
+
+        // guards cancel navigation by `false` or redirect by returning URL
+        self.each(routing.before, function (guard) {
+            var result = guard.call(self, route, from);
+
+            if (typeof result === 'string') {
+                cancelled = true;
+                self.navigate(result, {replace: replace});
+            } else if (result === false) {
+                cancelled = true;
+
+                if (!commit && from) {
+                    _setRouteUrl(self, from.url, true);
+                }
+            }
+
+            return !cancelled;
+        });
+
+        if (cancelled) {
+            return false;
+        }
+
+        if (commit) {
+            commit();
+        }
+
+        routing.current = route;
+
+        self.set(routing.path, {url: route.url, path: route.path, params: route.params, query: route.query});
+
+        if (typeof handler === 'function') {
+            handler.call(self, route.params, route);
+        }
+
+        self.each(routing.after, function (guard) {
+            guard.call(self, route, from);
+        });
+
+        self.emit('route:change', route, from);
+
+        return true;
+    };
+
+    /**
+     * Listens to location changes and link clicks, dispatches the current
+     * location once DOM is ready.
+     *
+     * @param {App} self The App instance.
+     */
+    var _startRouter = function (self) {
+        var routing = self.routing;
+
+        if (routing.started) {
+            return;
+        }
+
+        var change = function () {
+            var url = _routeUrl(self);
+
+            // location written by router itself
+            if (routing.current && routing.current.url === url) {
+                return;
+            }
+
+            _dispatch(self, url, true);
+        };
+
+        routing.started = true;
+
+        self.ready(function () {
+            _addEvent(window, routing.mode === 'history' ? 'popstate' : 'hashchange', change);
+            routing.listening = true;
+
+            change();
+        });
+
+        if (routing.links && routing.mode === 'history') {
+            self.$(document).on('click.router', 'a[href]', function (event) {
+                var location = window.location;
+                // IE omits leading slash of link pathname
+                var url = _stripRoot(this.pathname.replace(/^\/?/, '/'), routing.root);
+
+                if (event.button > 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey ||
+                    this.getAttribute('target') || this.getAttribute('download') !== null ||
+                    this.getAttribute('data-router') === 'false' || /^#/.test(this.getAttribute('href')) ||
+                    this.protocol !== location.protocol || this.host !== location.host || url === null) {
+                    return;
+                }
+
+                event.preventDefault();
+                self.navigate(url + this.search);
+            });
+        }
+    };
+
+    //-------------------------------------------------------------------------
+    // Scheduler
+    //-------------------------------------------------------------------------
+
+    /**
+     * Runs `task` unless cancelled and records its timing by `now()`.
+     *
+     * @param {App} self The App instance.
+     * @param {Object} task The task handle.
+     * @returns {Error|undefined} Returns the error thrown by the task.
+     */
+    var _runTask = function (self, task) {
+        var error;
+
+        if (task.status !== 'pending') {
+            return;
+        }
+
+        task.status = 'running';
+        task.start = self.now();
+
+        try {
+            task.handler.call(self);
+            task.status = 'done';
+        } catch (ex) {
+            task.status = 'error';
+            error = ex;
+        }
+
+        task.end = self.now();
+        task.duration = task.end - task.start;
+
+        return error;
+    };
+
+    /**
+     * Runs queued tasks in slices of `scheduler.budget` milliseconds,
+     * the browser can render and handle input between slices.
+     *
+     * @param {App} self The App instance.
+     */
+    var _flushTasks = function (self) {
+        var scheduler = self.scheduler;
+
+        var slice = function () {
+            var start = self.now();
+            var errors = [];
+
+            scheduler.timer = null;
+
+            while (scheduler.queue.length > 0 && self.now() - start < scheduler.budget) {
+                errors.push(_runTask(self, scheduler.queue.shift()));
+            }
+
+            if (scheduler.queue.length > 0) {
+                _flushTasks(self);
+            }
+
+            // reported after the rest is scheduled, errors throw in debug mode
+            self.each(errors, function (error) {
+                if (error) {
+                    self.error(error);
+                }
+            });
+        };
+
+        if (scheduler.timer === null) {
+            scheduler.timer = setTimeout(slice, 1);
+        }
+    };
+
+    /**
+     * Runs idle tasks while the browser is idle, `requestIdleCallback` is
+     * emulated by timeout with 50ms deadline.
+     *
+     * @param {App} self The App instance.
+     */
+    var _flushIdleTasks = function (self) {
+        var scheduler = self.scheduler;
+        var requestIdle = window.requestIdleCallback || function (callback) {
+            var start = self.now();
+
+            return setTimeout(function () {
+                callback({
+                    didTimeout: false,
+                    timeRemaining: function () {
+                        return Math.max(0, 50 - (self.now() - start));
+                    }
+                });
+            }, 1);
+        };
+
+        if (scheduler.idleRequested) {
+            return;
+        }
+
+        scheduler.idleRequested = true;
+
+        requestIdle.call(window, function (deadline) {
+            var errors = [];
+
+            scheduler.idleRequested = false;
+
+            // queued tasks go first
+            while (scheduler.queue.length === 0 && scheduler.idle.length > 0 &&
+                (deadline.timeRemaining() > 0 || deadline.didTimeout)) {
+                errors.push(_runTask(self, scheduler.idle.shift()));
+            }
+
+            if (scheduler.idle.length > 0) {
+                _flushIdleTasks(self);
+            }
+
+            self.each(errors, function (error) {
+                if (error) {
+                    self.error(error);
+                }
+            });
+        });
+    };
+
+    /**
+     * Calls `callback` once DOM is ready.
+     *
+     * @param {Function} callback The function to call.
+     */
+    var _domReady = function (callback) {
+        var called = false;
+
+        var once = function () {
+            if (!called && document.readyState !== 'loading') {
+                called = true;
+                callback();
+            }
+        };
+
+        if (!document || document.readyState !== 'loading') {
+            callback();
+        } else if (document.addEventListener) {
+            document.addEventListener('DOMContentLoaded', once);
+        } else {
+            //noinspection JSUnresolvedFunction
+            document.attachEvent('onreadystatechange', once);
+        }
+    };
+
+    /**
+     * Adds `task` to the queue of time-sliced tasks.
+     *
+     * @param {App} self The App instance.
+     * @param {Object} task The task handle.
+     */
+    var _queueTask = function (self, task) {
+        if (task.status !== 'pending') {
+            return;
+        }
+
+        self.scheduler.queue.push(task);
+        _flushTasks(self);
+    };
+
+    //-------------------------------------------------------------------------
+    // Internationalization
+    //-------------------------------------------------------------------------
+
+    /**
+     * Plural categories by language, used without `Intl.PluralRules`.
+     *
+     * @type {Object}
+     */
+    var pluralRules = {
+        en: function (n) {
+            return n === 1 ? 'one' : 'other';
+        },
+        cs: function (n) {
+            if (n % 1 !== 0) {
+                return 'many';
+            }
+
+            return n === 1 ? 'one' : (n >= 2 && n <= 4 ? 'few' : 'other');
+        }
+    };
+
+    /**
+     * Number and date formats by language, used without `Intl`.
+     *
+     * @type {Object}
+     */
+    var localeFormats = {
+        en: {group: ',', decimal: '.', percent: '%', date: 'M/d/yyyy', time: 'h:mm a'},
+        cs: {group: '\u00a0', decimal: ',', percent: '\u00a0%', date: 'd. M. yyyy', time: 'H:mm'}
+    };
+
+    /**
+     * Gets fallback format of `locale`, English for unknown languages.
+     *
+     * @param {string} locale The locale, e.g. `cs-CZ`.
+     * @returns {Object} Returns the format.
+     */
+    var _localeFormat = function (locale) {
+        return localeFormats[String(locale).split('-')[0].toLowerCase()] || localeFormats.en;
+    };
+
+    /**
+     * Gets plural category of number `n` in `locale`.
+     *
+     * @param {string} locale The locale.
+     * @param {number} n The number.
+     * @returns {string} Returns the category, e.g. `one`, `few` or `other`.
+     */
+    var _plural = function (locale, n) {
+        if (window.Intl && window.Intl.PluralRules) {
+            try {
+                return new window.Intl.PluralRules(locale).select(n);
+            } catch (ex) {
+                // unsupported locale
+            }
+        }
+
+        return (pluralRules[String(locale).split('-')[0].toLowerCase()] || pluralRules.en)(Math.abs(n));
+    };
+
+    /**
+     * Formats number `value` by `Intl.NumberFormat`, or by separators of
+     * `locale` without it.
+     *
+     * @param {string} locale The locale.
+     * @param {number} value The number to format.
+     * @param {Object} [options] The `Intl.NumberFormat` options, only `style: 'percent'`
+     *  and fraction digits are supported without `Intl`.
+     * @returns {string} Returns the formatted number.
+     */
+    var _formatNumber = function (locale, value, options) {
+        var format = _localeFormat(locale);
+        var min;
+        var max;
+        var parts;
+
+        options = options || {};
+        value = Number(value);
+
+        if (window.Intl && window.Intl.NumberFormat) {
+            try {
+                return new window.Intl.NumberFormat(locale, options).format(value);
+            } catch (ex) {
+                // unsupported locale or options
+            }
+        }
+
+        if (options.style === 'percent') {
+            value *= 100;
+        }
+
+        min = options.minimumFractionDigits || 0;
+        max = Math.max(min, typeof options.maximumFractionDigits === 'number' ?
+            options.maximumFractionDigits : (options.style === 'percent' ? 0 : 3));
+
+        parts = Math.abs(value).toFixed(max).split('.');
+        parts[1] = (parts[1] || '').replace(/0+$/, '');
+
+        while (parts[1].length < min) {
+            parts[1] += '0';
+        }
+
+        return (value < 0 ? '-' : '') + parts[0].replace(/\B(?=(\d{3})+$)/g, format.group) +
+            (parts[1] ? format.decimal + parts[1] : '') + (options.style === 'percent' ? format.percent : '');
+    };
+
+    /**
+     * Formats `date` by `Intl.DateTimeFormat`, or by date pattern of
+     * `locale` without it.
+     *
+     * @param {string} locale The locale.
+     * @param {Date|number|string} date The date to format.
+     * @param {Object} [options] The `Intl.DateTimeFormat` options, time is added
+     *  without `Intl` if `hour` is set.
+     * @returns {string} Returns the formatted date.
+     */
+    var _formatDate = function (locale, date, options) {
+        var format = _localeFormat(locale);
+        var pattern;
+        var hours;
+        var tokens;
+
+        date = date instanceof Date ? date : new Date(date);
+        options = options || {};
+
+        if (window.Intl && window.Intl.DateTimeFormat) {
+            try {
+                return new window.Intl.DateTimeFormat(locale, options).format(date);
+            } catch (ex) {
+                // unsupported locale or options
+            }
+        }
+
+        hours = date.getHours();
+        tokens = {
+            yyyy: date.getFullYear(),
+            M: date.getMonth() + 1,
+            d: date.getDate(),
+            H: hours,
+            h: hours % 12 || 12,
+            mm: (date.getMinutes() < 10 ? '0' : '') + date.getMinutes(),
+            a: hours < 12 ? 'AM' : 'PM'
+        };
+
+        pattern = (options.hour && !options.day ? '' : format.date) +
+            (options.hour ? (options.day ? ' ' : '') + format.time : '');
+
+        return pattern.replace(/yyyy|mm|[MdHha]/g, function (token) {
+            return tokens[token];
+        });
+    };
+
+    /**
+     * Finds index of brace closing the one at `open`.
+     *
+     * @param {string} text The text to search.
+     * @param {number} open The index of opening brace.
+     * @returns {number} Returns the index of closing brace, else `-1`.
+     */
+    var _closingBrace = function (text, open) {
+        var depth = 0;
+
+        for (var i = open; i < text.length; i++) {
+            if (text.charAt(i) === '{') {
+                depth++;
+            } else if (text.charAt(i) === '}' && --depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    };
+
+    /**
+     * Formats ICU-style `message` of `locale`, supports `{name}`,
+     * `{name, number}`, `{name, date, short|long|time}`, `{name, plural, ...}`
+     * with `=n` and `#`, and `{name, select, ...}`.
+     *
+     * @param {App} self The App instance.
+     * @param {string} message The message.
+     * @param {Object} params The values of arguments.
+     * @param {string} locale The locale of message.
+     * @returns {string} Returns the formatted message.
+     */
+    var _formatMessage = function (self, message, params, locale) {
+        var output = '';
+        var i = 0;
+
+        while (i < message.length) {
+            var open = message.indexOf('{', i);
+            var close = open === -1 ? -1 : _closingBrace(message, open);
+
+            if (close === -1) {
+                output += message.substring(i);
+                break;
+            }
+
+            output += message.substring(i, open) + _formatArgument(self, message.substring(open + 1, close), params, locale);
+            i = close + 1;
+        }
+
+        return output;
+    };
+
+    /**
+     * Formats one argument of ICU-style message, see `_formatMessage`.
+     *
+     * @param {App} self The App instance.
+     * @param {string} argument The argument without braces, e.g. `count, plural, one {...} other {...}`.
+     * @param {Object} params The values of arguments.
+     * @param {string} locale The locale of message.
+     * @returns {string} Returns the formatted argument.
+     */
+    var _formatArgument = function (self, argument, params, locale) {
+        var parts = argument.split(',');
+        var name = self.trim(parts[0]);
+        var type = self.trim(parts[1] || '');
+        var style = parts.slice(2).join(',');
+        var value = params[name];
+        var branches = {};
+        var branch;
+        var key;
+
+        if (typeof value === 'undefined') {
+            return '{' + argument + '}';
+        }
+
+        switch (type) {
+            case '':
+                return String(value);
+            case 'number':
+                return _formatNumber(locale, value, self.trim(style) === 'percent' ? {style: 'percent'} : {});
+            case 'date':
+                style = self.trim(style);
+
+                return _formatDate(locale, value, style === 'time' ? {hour: 'numeric', minute: '2-digit'} :
+                    (style === 'long' ? {day: 'numeric', month: 'long', year: 'numeric'} : {}));
+            case 'plural':
+            case 'select':
+                // parse `key {text}` pairs
+                for (var i = 0; i < style.length;) {
+                    var open = style.indexOf('{', i);
+                    var close = open === -1 ? -1 : _closingBrace(style, open);
+
+                    if (close === -1) {
+                        break;
+                    }
+
+                    branches[self.trim(style.substring(i, open))] = style.substring(open + 1, close);
+                    i = close + 1;
+                }
+
+                key = type === 'select' ? String(value) :
+                    (branches.hasOwnProperty('=' + value) ? '=' + value : _plural(locale, Number(value)));
+                branch = branches.hasOwnProperty(key) ? branches[key] : branches.other;
+
+                if (typeof branch !== 'string') {
+                    return '';
+                }
+
+                if (type === 'plural') {
+                    // `#` of nested arguments belongs to them
+                    branch = branch.replace(/#|\{[^{}]*\}/g, function (match) {
+                        return match === '#' ? _formatNumber(locale, value) : match;
+                    });
+                }
+
+                return _formatMessage(self, branch, params, locale);
+        }
+
+        return String(value);
+    };
+
+    /**
+     * Gets fallback chain of `locale`, e.g. `cs-CZ`, `cs` and fallback locales.
+     *
+     * @param {App} self The App instance.
+     * @param {string} [locale] The locale, current one by default.
+     * @returns {string[]} Returns the locales.
+     */
+    var _localeChain = function (self, locale) {
+        var chain = [];
+
+        var add = function (item) {
+            if (item && self.indexOf(chain, item) === -1) {
+                chain.push(item);
+            }
+        };
+
+        locale = locale || self.localization.locale;
+
+        add(locale);
+        add(locale.split('-')[0]);
+        self.each(self.localization.fallback, add);
+
+        return chain;
+    };
+
+    /**
+     * Loads catalog of `locale` from `localization.url` once. Loaded messages
+     * are merged to `i18n.<locale>` of App data store, messages already there
+     * (e.g. inline) take precedence.
+     *
+     * @param {App} self The App instance.
+     * @param {string} locale The locale.
+     * @returns {Promise} Returns promise resolved once the catalog is loaded.
+     */
+    var _loadCatalog = function (self, locale) {
+        var localization = self.localization;
+        var url = localization.url;
+        var promise;
+
+        if (!url || localization.loaded[locale] === true) {
+            return Promise.resolve(self);
+        }
+
+        // loading or failed catalog is not requested again
+        if (localization.catalogs.hasOwnProperty(locale)) {
+            return localization.catalogs[locale];
+        }
+
+        url = typeof url === 'function' ? url(locale) : url.replace('{locale}', encodeURIComponent(locale));
+
+        promise = localization.catalogs[locale] = self.request(url, {responseType: 'json'}).then(function (response) {
+            var path = 'i18n.' + locale;
+
+            self.set(path, self.merge(_isObject(response.data) ? response.data : {}, self.get(path) || {}));
+            localization.loaded[locale] = true;
+            self.emit('i18n:load', locale);
+
+            return self;
+        });
+
+        // failure is reported by `request`
+        promise['catch'](self.noop);
+
+        return promise;
+    };
+
+    /**
+     * Creates fresh state of App instance, isolated instances get their own
+     * copy, the default instance keeps its state in `App.prototype`.
+     *
+     * @returns {Object} Returns the state properties.
+     */
+    var _state = function () {
+        return {
+            /** @type {boolean} */
+            appready: false,
+
+            /** @type {boolean} */
+            domready: !document || document.readyState !== 'loading',
+
+            /** @type {Object} */
+            data: {},
+
+            /** @type {Object} */
+            modules: {},
+
+            /** @type {Array} */
+            requires: [],
+
+            /** @type {Object} */
+            assets: {},
+
+            /** @type {Array} */
+            watchers: [],
+
+            /**
+             * Performance timeline with marks `app:stub`, `app:loaded`,
+             * `app:ready`, `dom:ready`, `window:load` and measures of ready
+             * handlers (`ready:name`) and module factories (`module:name`).
+             *
+             * @type {Object}
+             */
+            perf: _perf(),
+
+            /** @type {Array} */
+            listeners: [],
+
+            /** @type {Object} */
+            loggers: {},
+
+            /** @type {Function[]} */
+            logTransports: [_consoleTransport],
+
+            /** @type {Array} */
+            reporters: [],
+
+            /** @type {Object} */
+            errors: {},
+
+            /** @type {Object} */
+            components: {},
+
+            /** @type {Array} */
+            instances: [],
+
+            /**
+             * Request interceptors executed with request options and response
+             * interceptors executed with response, both can return a replacement.
+             *
+             * @type {{request: Function[], response: Function[]}}
+             */
+            interceptors: {
+                request: [],
+                response: []
+            },
+
+            /** @type {Object} */
+            requests: {},
+
+            /** @type {Object} */
+            templates: {},
+
+            /**
+             * Compiled templates by their source.
+             *
+             * @type {Object}
+             */
+            compiled: {},
+
+            /**
+             * Results of evaluated feature tests.
+             *
+             * @type {Object}
+             */
+            features: {},
+
+            /**
+             * Custom feature tests, see `supports`.
+             *
+             * @type {Object}
+             */
+            featureTests: {},
+
+            /** @type {Object[]} */
+            polyfills: [],
+
+            /** @type {Object[]} */
+            schemas: [],
+
+            /**
+             * Current locale, fallback locales, URL of catalogs, their
+             * loading promises and locales of loaded ones, see `i18n`.
+             *
+             * @type {Object}
+             */
+            localization: {
+                locale: document && document.documentElement && document.documentElement.lang || 'en',
+                fallback: ['en'],
+                url: null,
+                catalogs: {},
+                loaded: {}
+            },
+
+            /**
+             * Queues of scheduled tasks, tasks run in slices of `budget`
+             * milliseconds.
+             *
+             * @type {Object}
+             */
+            scheduler: {
+                queue: [],
+                idle: [],
+                timer: null,
+                idleRequested: false,
+                budget: 8,
+                uid: 0
+            },
+
+            /** @type {Object[]} */
+            routes: [],
+
+            /**
+             * Router configuration and state, see `router`.
+             *
+             * @type {Object}
+             */
+            routing: {
+                mode: 'hash',
+                root: '',
+                links: true,
+                path: 'route',
+                before: [],
+                after: [],
+                notFound: null,
+                started: false,
+                listening: false,
+                current: null
+            }
+        };
+    };
+
+    /**
+     * Boots App, watches DOM ready and processes queue of the `loader` stub.
+     *
+     * @param {App} self The App instance.
+     * @param {Function|Object} [loader] The loader stub with `queue` and `time`.
+     * @param {boolean} captureErrors Report uncaught errors of the window.
+     */
+    var _boot = function (self, loader, captureErrors) {
+        self.time = self.now();
+
+        self.loader = loader = loader || {queue: [], time: self.time};
+
+        self.perf.mark('app:stub', loader.time - self.perf.origin);
+        self.perf.mark('app:loaded', scriptTime);
+
+        if (captureErrors) {
+            _captureErrors(self);
+        }
+
+        // Mark App as ready
+        self.appready = true;
+
+        // Log ready
+        self.log('info', 'App: Ready and waiting for DOM...', (self.time - loader.time) ,'ms');
+
+        // Watch DOC ready handler
+        self.ready(function () {
+            self.domready = true;
+
+            // Log DOM ready
+            self.log('info', 'App: Hurray, DOM is ready... ', (self.now() - self.time) ,'ms');
+
+            self.perf.mark('dom:ready');
+
+            // Write classes of all feature tests
+            self.supports();
+
+            // Mount components of `data-app` elements
+            self.mount();
+
+            self.emit('dom:ready');
+        });
+
+        _onLoad(function () {
+            self.perf.mark('window:load');
+            self.emit('window:load');
+
+            // Report required modules and plugins which never showed up
+            _reportMissing(self);
+            _reportPlugins(self);
+        });
+
+        // Register queued watchers and listeners first, so they are
+        // notified about values set before App booted
+        self.each(loader.queue, function (item) {
+            if (self.indexOf(listenerMethods, item.method) !== -1) {
+                _replay(self, item);
+            }
+        });
+
+        // Process loader queue
+        self.each(loader.queue, function (item) {
+            if (self.indexOf(listenerMethods, item.method) === -1) {
+                _replay(self, item);
+            }
+        });
+
+        // Stub not replaced by App (e.g. `App.create` without `global`) pushes
+        // its next calls to the queue, replay them right away
+        loader.queue = {
+            push: function (item) {
+                _replay(self, item);
+            }
+        };
+
+        self.perf.mark('app:ready');
+        self.emit('app:ready');
+    };
+
+    /**
+     * The one global object for App JavaScript.
+     *
+     * @param {Function|Array|string} [path] The path of the property to get.
+     * @param {*} [value] The value to set.
+     * @returns {*} Returns the resolved value.
+     * @constructor
+     */
+    var App = function (path, value) {
+        var self = this;
+
+        // app is not ready yet, call on ready handler
+        // and process old queue, state of the default instance is shared
+        // by all its instances, so it boots just once
+        if (self.appready === false) {
+            _boot(App.prototype, window[loaderVar], true);
+        }
+
+        switch(typeof path) {
+            case 'string':
+                return typeof value !== 'undefined' ? self.set(path, value) : self.get(path);
+            case 'function':
+                return self.ready.apply(self, arguments);
+        }
+
+        return self.domready;
+    };
+
+    /**
+     * Creates App instance `name` isolated from the others, with its own
+     * data store, queue of loader stub, ready state, listeners and
+     * registries. Created instance is returned for the same `name` again.
+     *
+     * @param {string} name The instance name.
+     * @param {Object} [config] The configuration.
+     * @param {string} [config.loader=name] The global variable of loader stub.
+     * @param {boolean} [config.global=false] Replace the loader stub by the instance, calls of the
+     *  stub are replayed on the instance either way.
+     * @param {boolean} [config.debug] The debug mode, `APP_DEBUG` by default.
+     * @param {boolean} [config.caseSensitive] Keep case of data store keys.
+     * @param {string} [config.logLevel] Minimal level of logged entries.
+     * @param {string[]} [config.errorContext] Paths of data store included in error reports.
+     * @param {boolean} [config.captureErrors=false] Report uncaught errors of the window.
+     * @param {Object} [config.data] The initial data store.
+     * @returns {App} Returns the instance.
+     * @example
+     *
+     * var widget = App.create('widget', {loader: 'widgetApp', global: true});
+     */
+    App.create = function (name, config) {
+        var Surrogate = function () {};
+        var self;
+
+        if (apps.hasOwnProperty(name)) {
+            return apps[name];
+        }
+
+        config = App.prototype.extend({
+            loader: name,
+            global: false,
+            captureErrors: false,
+            data: {}
+        }, config);
+
+        Surrogate.prototype = App.prototype;
+        self = apps[name] = App.prototype.extend(new Surrogate(), _state(), {name: name});
+
+        App.prototype.forEach(config, function (value, key) {
+            if (App.prototype.indexOf(['debug', 'caseSensitive', 'logLevel', 'errorContext'], key) !== -1) {
+                self[key] = value;
+            }
+        });
+
+        self.deepExtend(self.data, config.data);
+
+        _boot(self, window[config.loader], config.captureErrors);
+
+        if (config.global) {
+            self.globals = {name: config.loader, value: window[config.loader]};
+            window[config.loader] = self;
+        }
+
+        return self;
+    };
+
+    /**
+     * Restores global variable `App` (or `APP_VAR`) to its previous value.
+     *
+     * @returns {Function} Returns the App constructor.
+     * @example
+     *
+     * var MyApp = App.noConflict();
+     */
+    App.noConflict = function () {
+        if (window[appVar] === App) {
+            window[appVar] = previousApp;
+        }
+
+        return App;
+    };
+
+    /**
+     * Registers plugin `name` extending `App.prototype` by members returned
+     * from `install`. Members already defined by App core or another plugin
+     * are reported as conflict and the plugin is not installed. Plugins with
+     * unregistered dependencies wait for them.
+     *
+     * `install` is executed before the conflict check, so it must only return
+     * members without side effects. Side effects (e.g. registering components
+     * or listeners) belong to `setup`, executed once the plugin is installed.
+     *
+     * @param {string} name The plugin name.
+     * @param {Object} definition The plugin definition.
+     * @param {string} [definition.version='0.0.0'] The plugin version.
+     * @param {Object|string[]} [definition.requires] Required plugins with minimal versions, e.g. `{charts: '1.2'}`.
+     * @param {Function} definition.install(App) Returns members added to `App.prototype`, without side effects.
+     * @param {Function} [definition.setup(App)] A function to execute once the plugin is installed.
+     * @param {boolean} [definition.protect=false] Report errors thrown by methods instead of throwing.
+     * @returns {boolean} Returns `true` if the plugin was installed, else `false`.
+     * @example
+     *
+     * App.plugin('charts', {version: '1.0.0', requires: {d3: '4'}, install: function (App) {
+     *     return {chart: function (element, data) { ... }};
+     * }, setup: function (App) {
+     *     App.prototype.component('chart', {mount: function (element) { ... }});
+     * }});
+     */
+    App.plugin = function (name, definition) {
+        var self = this instanceof App ? this : App.prototype;
+        var requires = {};
+
+        definition = definition || {};
+
+        if (plugins.hasOwnProperty(name) || self.find(pendingPlugins, function (item) { return item.name === name; })) {
+            self.error(new Error('App: Plugin "' + name + '" is already registered'));
+            return false;
+        }
+
+        if (self.isArray(definition.requires)) {
+            self.each(definition.requires, function (dep) {
+                requires[dep] = '';
+            });
+        } else {
+            self.extend(requires, definition.requires);
+        }
+
+        return _installPlugin(self, {
+            name: name,
+            version: String(definition.version || '0.0.0'),
+            requires: requires,
+            install: definition.install,
+            setup: definition.setup,
+            protect: !!definition.protect,
+            members: []
+        });
+    };
+
+    //-------------------------------------------------------------------------
+    // Passthrough Methods
+    //-------------------------------------------------------------------------
+
+    App.prototype = {
+        app: '@VERSION',
+
+        // restore constructor
+        constructor: App,
+
+        /** @type {boolean} */
+        debug: !!window.APP_DEBUG,
+
+        /**
+         * Keys of App data store are lower-cased unless set to `true`.
+         *
+         * @type {boolean}
+         */
+        caseSensitive: !!window.APP_CASE_SENSITIVE,
+
+        /**
+         * Minimal level of logged entries, `debug` in debug mode else `warn`
+         * unless set.
+         *
+         * @type {string|undefined}
+         */
+        logLevel: window.APP_LOG_LEVEL,
+
+        /**
+         * Paths of App data store included in `context` of error reports,
+         * nothing is included unless set.
+         *
+         * @type {string[]|undefined}
+         */
+        errorContext: window.APP_ERROR_CONTEXT,
+
+        /**
+         * Signals that an error has occurred. The error is passed to reporters
+         * registered by `onError`. If in development mode, an error
+         * is thrown.
+         *
+         * @param {error} [exception] The exception object to use.
+         * @param {Object} [details] Additional report properties, e.g. `object` and `method`.
+         * @throws Will throw an error exception if in dev mode
+         * @returns {void}
+         */
+        error: function (exception, details) {
+            var report = _reportError(this, exception, details);
+
+            this.emit('error', exception, report);
+
+            if (this.debug === true) {
+                throw exception;
+            }
+
+            this.log('error', exception);
+        },
+
+        /**
+         * Writes log entry of `level` to registered transports, entries below
+         * `logLevel` are dropped.
+         *
+         * @param {string} level The level, `debug`, `info`, `warn` or `error`.
+         * @param {...*} [args] Any number of values to log.
+         * @example
+         *
+         * app.log('info', 'Cart updated', cart);
+         */
+        log: function (level, args) {
+            _log(this, '', level, slice.call(arguments, 1));
+        },
+
+        /**
+         * Gets logger of `namespace` with `debug`, `info`, `warn`, `error` and
+         * `log(level, ...)` methods. Logger `level` property overrides
+         * `logLevel` for the namespace.
+         *
+         * @param {string} namespace The logger namespace.
+         * @returns {Object} Returns the logger.
+         * @example
+         *
+         * var log = app.logger('cart');
+         * log.level = 'debug';
+         * log.debug('Item added', item);
+         */
+        logger: function (namespace) {
+            var self = this;
+            var logger = self.loggers[namespace];
+
+            if (logger) {
+                return logger;
+            }
+
+            logger = self.loggers[namespace] = {
+                namespace: namespace,
+                level: undefined,
+                log: function (level) {
+                    _log(self, namespace, level, slice.call(arguments, 1));
+                }
+            };
+
+            self.forEach(logLevels, function (severity, level) {
+                if (level === 'silent') {
+                    return;
+                }
+
+                logger[level] = function () {
+                    _log(self, namespace, level, slice.call(arguments));
+                };
+            });
+
+            return logger;
+        },
+
+        /**
+         * Registers log `transport`, executed with entry containing `level`,
+         * `namespace`, `args`, `time` since loader stub and `timestamp`.
+         *
+         * @param {Function} transport(entry) A function writing the log entry.
+         */
+        addLogTransport: function (transport) {
+            this.logTransports.push(transport);
+        },
+
+        /**
+         * Removes log `transport`, e.g. `app.consoleTransport`.
+         *
+         * @param {Function} transport The transport to remove.
+         */
+        removeLogTransport: function (transport) {
+            var index = this.indexOf(this.logTransports, transport);
+
+            if (index !== -1) {
+                this.logTransports.splice(index, 1);
+            }
+        },
+
+        /**
+         * Log transport writing to console, registered by default.
+         *
+         * @type {Function}
+         */
+        consoleTransport: _consoleTransport,
+
+        /**
+         * Creates log transport keeping last `size` entries in memory.
+         *
+         * @param {number} [size=100] The maximum number of kept entries.
+         * @returns {Function} Returns the transport, with `entries` array.
+         */
+        memoryTransport: function (size) {
+            var transport = function (entry) {
+                transport.entries.push(entry);
+
+                if (transport.entries.length > transport.size) {
+                    transport.entries.shift();
+                }
+            };
+
+            transport.size = size || 100;
+            transport.entries = [];
+
+            return transport;
+        },
+
+        /**
+         * Creates log transport sending batches of entries as JSON to `url`,
+         * logged values are converted to strings.
+         *
+         * @param {string} url The endpoint URL.
+         * @param {Object} [options] The `batchSize` and `delay` options, see `beaconReporter`.
+         * @returns {Function} Returns the transport, with `flush` method to send pending entries.
+         */
+        remoteTransport: function (url, options) {
+            var self = this;
+            var send = _batchSender(self, url, options);
+
+            var transport = function (entry) {
+                send(self.extend({}, entry, {
+                    args: self.map(entry.args, function (arg) {
+                        if (arg instanceof Error) {
+                            return arg.name + ': ' + arg.message;
+                        }
+
+                        try {
+                            return typeof arg === 'string' ? arg : JSON.stringify(arg);
+                        } catch (ex) {
+                            return String(arg);
+                        }
+                    })
+                }));
+            };
+
+            transport.flush = send.flush;
+
+            return transport;
+        },
+
+        /**
+         * Restores the loader stub variable replaced by instance created with
+         * `global` option to its previous value.
+         *
+         * @returns {App} Returns the instance.
+         */
+        noConflict: function () {
+            if (this.globals && window[this.globals.name] === this) {
+                window[this.globals.name] = this.globals.value;
+            }
+
+            return this;
+        },
+
+        /**
+         * Registers error reporter. Reporter is executed once per unique
+         * error with report containing error `name`, `message`, `stack`,
+         * protected `object` and `method` names with their `prefix`, values
+         * of `errorContext` paths as `context`, `time` since loader stub,
+         * `ie` version and `count` of occurrences.
+         *
+         * @param {Function} reporter(report, exception) A function to execute with error report.
+         * @example
+         *
+         * app.onError(app.beaconReporter('/errors'));
+         */
+        onError: function (reporter) {
+            this.reporters.push(reporter);
+        },
+
+        /**
+         * Creates error reporter sending batches of reports as JSON to `url`,
+         * using `navigator.sendBeacon` if available. Pending reports are sent
+         * when the page is hidden.
+         *
+         * @param {string} url The endpoint URL.
+         * @param {Object} [options] The options.
+         * @param {number} [options.batchSize=10] Number of reports sent immediately.
+         * @param {number} [options.delay=2000] Milliseconds to wait for more reports.
+         * @returns {Function} Returns the reporter, with `flush` method to send pending reports.
+         */
+        beaconReporter: function (url, options) {
+            return _batchSender(this, url, options);
+        },
+
+        /**
+         * Promise implementation, native one or built-in fallback.
+         *
+         * @type {Function}
+         */
+        Promise: Promise,
+
+        /**
+         * Document ready handler.
+         *
+         * @param {Function} [handler] A function to execute after the DOM is ready.
+         * @param {*} [args] Any number of arguments to be passed to the function referenced in the handler argument.
+         * @returns {Promise|undefined} Returns promise resolved with App if `handler` is omitted.
+         * @example
+         *
+         * app.ready().then(function (app) { ... });
+         */
+        ready: function (handler, args) {
+            var self = this;
+            var thisArgs = slice.call(arguments, 1);
+
+            if (typeof handler !== 'function') {
+                return new Promise(function (resolve) {
+                    self.ready(function () {
+                        resolve(self);
+                    });
+                });
+            }
+
+            // jQuery DOM ready fires after this DOM ready listener, time-sliced
+            // queue runs after timeout which fix it...
+            self.schedule(function () {
+                // missing features are loaded first
+                _afterPolyfills(self, function () {
+                    var start = self.perf.now();
+
+                    // handler waiting for polyfills runs in promise callback,
+                    // its error would end up as unhandled rejection
+                    try {
+                        handler.apply(undefined, thisArgs);
+                    } catch (ex) {
+                        _reportError(self, ex, {type: 'ready', handler: handler.name || 'anonymous'});
+                        _log(self, '', 'error', [ex]);
+                    }
+
+                    self.perf.measure('ready:' + (handler.name || 'anonymous'), start);
+                });
+            }, {priority: 'ready', name: 'ready:' + (handler.name || 'anonymous')});
+        },
+
+        /**
+         * Configures translations, messages are looked up in `i18n.<locale>`
+         * of App data store.
+         *
+         * @param {Object} options The options.
+         * @param {string} [options.locale] The current locale, `lang` of `<html>` or `en` by default.
+         * @param {string[]} [options.fallback=['en']] The locales used when message is missing.
+         * @param {string|Function} [options.url] The URL of missing catalog with `{locale}`
+         *  placeholder, or function returning it for locale.
+         * @example
+         *
+         * app.i18n({locale: 'cs', fallback: ['en'], url: '/i18n/{locale}.json'});
+         */
+        i18n: function (options) {
+            var self = this;
+
+            options = options || {};
+
+            self.each(['fallback', 'url'], function (key) {
+                if (typeof options[key] !== 'undefined') {
+                    self.localization[key] = options[key];
+                }
+            });
+
+            if (options.locale) {
+                self.locale(options.locale);
+            }
+        },
+
+        /**
+         * Gets or sets the current locale, catalogs of the locale and its
+         * fallbacks are loaded when missing.
+         *
+         * @param {string} [locale] The locale to set, e.g. `cs` or `cs-CZ`.
+         * @returns {string|Promise} Returns the current locale, or promise resolved with App
+         *  once catalogs of set locale are loaded.
+         */
+        locale: function (locale) {
+            var self = this;
+            var loading;
+
+            if (!locale) {
+                return self.localization.locale;
+            }
+
+            self.localization.locale = locale;
+
+            loading = self.map(_localeChain(self, locale), function (item) {
+                return _loadCatalog(self, item);
+            });
+
+            self.emit('locale:change', locale);
+
+            return Promise.all(loading).then(function () {
+                return self;
+            }, function () {
+                return self;
+            });
+        },
+
+        /**
+         * Translates message `key` of the current locale, falls back to
+         * language without region and fallback locales, missing catalogs are
+         * loaded for next calls. Messages are ICU-style: `{name}`,
+         * `{count, plural, one {# item} few {# items} other {# items}}`,
+         * `{gender, select, male {...} other {...}}`, `{price, number}` and
+         * `{day, date, short|long|time}`.
+         *
+         * @param {string} key The message key, e.g. `cart.empty`.
+         * @param {Object} [params] The values of message arguments.
+         * @returns {string} Returns the translated message, `key` if missing.
+         * @example
+         *
+         * app('i18n.cs.cart.items', '{count, plural, one {# položka} few {# položky} other {# položek}}');
+         * app.t('cart.items', {count: 3});
+         * // > 3 položky
+         */
+        t: function (key, params) {
+            var self = this;
+            var chain = _localeChain(self);
+            var message;
+
+            for (var i = 0; i < chain.length; i++) {
+                _loadCatalog(self, chain[i]);
+
+                message = self.get('i18n.' + chain[i] + '.' + key);
+
+                if (typeof message === 'string') {
+                    return _formatMessage(self, message, params || {}, chain[i]);
+                }
+            }
+
+            self.log('debug', 'App: Missing translation "' + key + '"');
+
+            return key;
+        },
+
+        /**
+         * Formats number by the current locale, `Intl.NumberFormat` is used
+         * if available.
+         *
+         * @param {number} value The number to format.
+         * @param {Object} [options] The `Intl.NumberFormat` options.
+         * @returns {string} Returns the formatted number.
+         */
+        formatNumber: function (value, options) {
+            return _formatNumber(this.localization.locale, value, options);
+        },
+
+        /**
+         * Formats date by the current locale, `Intl.DateTimeFormat` is used
+         * if available.
+         *
+         * @param {Date|number|string} date The date to format.
+         * @param {Object} [options] The `Intl.DateTimeFormat` options.
+         * @returns {string} Returns the formatted date.
+         */
+        formatDate: function (date, options) {
+            return _formatDate(this.localization.locale, date, options);
+        },
+
+        /**
+         * Schedules `handler` by priority:
+         *
+         * - `immediate` runs synchronously
+         * - `ready` runs once DOM is ready
+         * - `idle` runs when the browser is idle after DOM is ready
+         * - `visible` runs once `element` scrolls into viewport (after DOM ready without `IntersectionObserver`)
+         * - `load` runs once the window is loaded
+         *
+         * Queued tasks run in time slices, so long queues do not block
+         * rendering. Timing of the task is recorded in the handle by `now()`.
+         *
+         * @param {Function} handler The task, `this` is App.
+         * @param {Object|string} [options] The options or priority.
+         * @param {string} [options.priority='ready'] The priority.
+         * @param {Element} [options.element] The element observed by `visible` priority.
+         * @param {string} [options.name] The task name.
+         * @returns {Object} Returns the task handle with `status`, `queued`, `start`, `end`, `duration` and `cancel()`.
+         * @example
+         *
+         * var task = app.schedule(initMap, {priority: 'visible', element: app.$('#map').get(0)});
+         *
+         * task.cancel();
+         */
+        schedule: function (handler, options) {
+            var self = this;
+            var task;
+            var observer;
+            var error;
+
+            options = typeof options === 'string' ? {priority: options} : options || {};
+
+            task = {
+                id: ++self.scheduler.uid,
+                name: options.name || handler.name || 'anonymous',
+                priority: options.priority || 'ready',
+                status: 'pending',
+                handler: handler,
+                queued: self.now(),
+                start: undefined,
+                end: undefined,
+                duration: undefined,
+                cancel: function () {
+                    if (task.status === 'pending') {
+                        task.status = 'cancelled';
+                    }
+
+                    if (observer) {
+                        observer.disconnect();
+                    }
+                }
+            };
+
+            switch (task.priority) {
+                case 'immediate':
+                    error = _runTask(self, task);
+
+                    if (error) {
+                        self.error(error);
+                    }
+                    break;
+                case 'idle':
+                    _domReady(function () {
+                        self.scheduler.idle.push(task);
+                        _flushIdleTasks(self);
+                    });
+                    break;
+                case 'visible':
+                    if (options.element && self.supports('intersectionobserver')) {
+                        observer = new window.IntersectionObserver(function (entries) {
+                            if (self.some(entries, 'isIntersecting')) {
+                                observer.disconnect();
+                                _queueTask(self, task);
+                            }
+                        });
+
+                        observer.observe(options.element);
+                        break;
+                    }
+
+                    _domReady(function () {
+                        _queueTask(self, task);
+                    });
+                    break;
+                case 'load':
+                    _onLoad(function () {
+                        _queueTask(self, task);
+                    });
+                    break;
+                default:
+                    _domReady(function () {
+                        _queueTask(self, task);
+                    });
+            }
+
+            return task;
+        },
+
+        /**
+         * Window load handler.
+         *
+         * @returns {Promise} Returns promise resolved with App once the window is loaded.
+         */
+        whenLoaded: function () {
+            var self = this;
+
+            return new Promise(function (resolve) {
+                _onLoad(function () {
+                    resolve(self);
+                });
+            });
+        },
+
+        /**
+         * Waits until `path` of App data store is set.
+         *
+         * @param {Array|string} path The path of the property to wait for.
+         * @returns {Promise} Returns promise resolved with the value once `path` exists.
+         * @example
+         *
+         * app.when('user.id').then(function (id) { ... });
+         */
+        when: function (path) {
+            var self = this;
+
+            return new Promise(function (resolve) {
+                var watcher = function () {
+                    if (self.has(path)) {
+                        self.unwatch(path, watcher);
+                        resolve(self.get(path));
+                    }
+                };
+
+                if (self.has(path)) {
+                    resolve(self.get(path));
+                } else {
+                    self.watch(path, watcher);
+                }
+            });
+        },
+
+        /**
+         * Detects support of feature `name`, tests are evaluated once on
+         * demand and their results are written as classes `has-name` or
+         * `no-name` of the `<html>` element, all of them on DOM ready.
+         *
+         * Built-in tests: `addeventlistener`, `promise`, `fetch`,
+         * `localstorage`, `sessionstorage`, `mutationobserver`,
+         * `intersectionobserver`, `passivelisteners`, `history`, `customproperties`.
+         *
+         * @param {string} [name] The feature name, report of all features if omitted.
+         * @param {Function} [test] Register custom test returning boolean.
+         * @returns {boolean|Object|undefined} Returns `true` if the feature is supported,
+         *  report `{name: boolean}` without `name`, nothing when registering `test`.
+         * @example
+         *
+         * if (app.supports('intersectionobserver')) { ... }
+         *
+         * app.supports('webp', function () { ... });
+         */
+        supports: function (name, test) {
+            var self = this;
+            var report = {};
+
+            if (typeof name !== 'string') {
+                self.each([featureTests, self.featureTests], function (tests) {
+                    self.each(tests, function (fn, key) {
+                        report[key] = _feature(self, key);
+                    });
+                });
+
+                return report;
+            }
+
+            name = name.toLowerCase();
+
+            if (typeof test === 'function') {
+                self.featureTests[name] = test;
+                delete self.features[name];
+
+                // classes of all tests are written on DOM ready
+                if (self.domready === true) {
+                    _feature(self, name);
+                }
+
+                return;
+            }
+
+            return _feature(self, name);
+        },
+
+        /**
+         * Loads polyfill `urls` when feature `name` is not supported, ready
+         * handlers wait until it is loaded.
+         *
+         * @param {string} name The feature name, see `supports`.
+         * @param {Array|string} urls The scripts providing the feature.
+         * @param {Object|Function} [options] The options or complete callback of `load`.
+         * @returns {Promise} Returns promise resolved with loaded assets (empty if supported).
+         * @example
+         *
+         * app.polyfill('fetch', '//cdn.example.com/fetch.min.js');
+         */
+        polyfill: function (name, urls, options) {
+            var self = this;
+            var polyfill;
+
+            if (self.supports(name)) {
+                return Promise.resolve([]);
+            }
+
+            polyfill = {feature: name.toLowerCase(), urls: urls, status: 'loading'};
+            polyfill.promise = self.load(urls, options).then(function (assets) {
+                polyfill.status = 'loaded';
+                // the test passes with the polyfill
+                delete self.features[polyfill.feature];
+
+                return assets;
+            }, function (error) {
+                polyfill.status = 'error';
+                throw error;
+            });
+
+            // failure is reported by `load`
+            polyfill.promise['catch'](self.noop);
+
+            self.polyfills.push(polyfill);
+
+            return polyfill.promise;
+        },
+
+        /**
+         * Registers route `pattern` with named params (`:name`) and splat
+         * (`*`), the first matching route is dispatched once DOM is ready and
+         * on every location change. Current route is set to `route` of App
+         * data store.
+         *
+         * @param {string|RegExp} pattern The path pattern, e.g. `/user/:id`.
+         * @param {Function} handler(params, route) A function to execute when the route matches.
+         * @example
+         *
+         * app.route('/user/:id', function (params, route) { ... route.query ... });
+         */
+        route: function (pattern, handler) {
+            var compiled = _compileRoute(pattern);
+
+            this.routes.push({pattern: pattern, regexp: compiled.regexp, keys: compiled.keys, handler: handler});
+
+            _startRouter(this);
+        },
+
+        /**
+         * Configures router, must be called before DOM is ready.
+         *
+         * @param {Object} options The options.
+         * @param {string} [options.mode='hash'] The `hash` or `history` mode, `hash` is used without History API.
+         * @param {string} [options.root=''] The base path of `history` mode, e.g. `/app`.
+         * @param {boolean} [options.links=true] Navigate by clicks on links under `root` in `history` mode.
+         * @param {string} [options.path='route'] The path of current route in App data store.
+         * @param {Function} [options.before(route, from)] Guard returning `false` to cancel or URL to redirect.
+         * @param {Function} [options.after(route, from)] A function to execute after route handler.
+         * @param {Function} [options.notFound(params, route)] A function to execute when no route matches.
+         * @example
+         *
+         * app.router({mode: 'history', root: '/app', before: function (route) { return app('user') ? true : '/login'; }});
+         */
+        router: function (options) {
+            var self = this;
+            var routing = self.routing;
+
+            options = options || {};
+
+            self.each(['mode', 'root', 'links', 'path', 'notFound'], function (key) {
+                if (typeof options[key] !== 'undefined') {
+                    routing[key] = options[key];
+                }
+            });
+
+            if (routing.mode === 'history' && !self.supports('history')) {
+                routing.mode = 'hash';
+            }
+
+            routing.root = routing.root.replace(/\/$/, '');
+
+            self.each(['before', 'after'], function (key) {
+                if (typeof options[key] === 'function') {
+                    routing[key].push(options[key]);
+                }
+            });
+
+            _startRouter(self);
+        },
+
+        /**
+         * Navigates to router `url` and dispatches its route.
+         *
+         * @param {string} url The URL relative to router, e.g. `/user/1?tab=info`.
+         * @param {Object} [options] The options.
+         * @param {boolean} [options.replace=false] Replace the current history entry.
+         * @returns {boolean} Returns `false` if navigation was cancelled or redirected, else `true`.
+         */
+        navigate: function (url, options) {
+            var self = this;
+            var replace = !!(options && options.replace);
+
+            url = url.charAt(0) === '/' ? url : '/' + url;
+
+            // current location is dispatched once router starts listening
+            if (!self.routing.listening) {
+                _setRouteUrl(self, url, replace);
+                return true;
+            }
+
+            return _dispatch(self, url, replace, function () {
+                _setRouteUrl(self, url, replace);
+            });
+        },
+
+        /**
+         * Gets the value at `path` of App data store.
+         *
+         * @param {Array|string} path The path of the property to get, e.g. `a.b` or `a[0].b`.
+         * @param {*} [defaultValue] The value returned if the path does not exist.
+         * @returns {*} Returns the resolved value.
+         */
+        get: function (path, defaultValue) {
+            return _getOrSet(this.data, _storePath(this, path), defaultValue);
+        },
+
+        /**
+         * Sets the value at `path` of App data store, missing objects are
+         * created, or arrays for indexes in brackets (e.g. `a[0].b`).
+         *
+         * @param {Array|string} path The path of the property to set.
+         * @param {*} value The value to set.
+         * @returns {*} Returns the `value`.
+         */
+        set: function (path, value) {
+            var self = this;
+
+            path = _storePath(self, path);
+            value = _applySchemas(self, path, value);
+
+            return _notify(self, path, function () {
+                return _getOrSet(self.data, path, value, true);
+            });
+        },
+
+        /**
+         * Registers schema of `path` in App data store. Values set to the
+         * path, its properties or parents are coerced (e.g. `"3"` to `3`),
+         * missing ones get defaults and violations are reported by `error`.
+         * The current value is validated immediately.
+         *
+         * @param {Array|string} path The path of validated property.
+         * @param {Object|string|Array} definition The definition or type name.
+         * @param {string} [definition.type='any'] The `string`, `number`, `integer`, `boolean`, `array`, `object`, `date` or `any`.
+         * @param {boolean} [definition.required=false] Report missing value.
+         * @param {*} [definition.default] The value (or function returning it) used when missing.
+         * @param {Array} [definition.enum] The allowed values.
+         * @param {Object} [definition.properties] The definitions of object properties.
+         * @param {Object|string} [definition.items] The definition of array items.
+         * @example
+         *
+         * app.schema('user', {properties: {id: {type: 'integer', required: true}, role: {enum: ['admin', 'editor'], default: 'editor'}}});
+         */
+        schema: function (path, definition) {
+            var self = this;
+            var value;
+
+            path = _storePath(self, path);
+            definition = _schemaDefinition(definition);
+
+            self.schemas.push({path: path, definition: definition});
+
+            if (!self.has(path) && typeof definition['default'] === 'undefined') {
+                return;
+            }
+
+            value = _getOrSet(self.data, path);
+
+            self.set(path, value);
+        },
+
+        /**
+         * Removes the value at `path` of App data store.
+         *
+         * @param {Array|string} path The path of the property to remove.
+         * @returns {boolean} Returns `true` if the property has been removed, else `false`.
+         */
+        unset: function (path) {
+            var self = this;
+
+            path = _storePath(self, path);
+
+            return _notify(self, path, function () {
+                return _unset(self.data, path);
+            });
+        },
+
+        /**
+         * Checks if `path` exists in App data store.
+         *
+         * @param {Array|string} path The path to check.
+         * @returns {boolean} Returns `true` if `path` exists, else `false`.
+         */
+        has: function (path) {
+            path = _storePath(this, path);
+
+            var parent = _getOrSet(this.data, path.slice(0, -1));
+
+            return path.length > 0 && !_isUnsafeKey(path[path.length - 1]) && _isObject(parent) &&
+                path[path.length - 1] in parent;
+        },
+
+        /**
+         * Watches changes of the value at `path`. The `handler` is executed
+         * whenever the `path`, its parent or child path is set, with the new
+         * value, the old value and the path, the deeper one of the watched
+         * and the changed path is reported.
+         *
+         * @param {Array|string} path The path of the property to watch.
+         * @param {Function} handler(value, oldValue, path) A function to execute on change.
+         * @example
+         *
+         * app.watch('cart.items', function (items, oldItems, path) { ... });
+         */
+        watch: function (path, handler) {
+            this.watchers.push({
+                path: _storePath(this, path),
+                handler: handler
+            });
+        },
+
+        /**
+         * Removes `handler` watching the `path`, or all handlers if `handler`
+         * is omitted.
+         *
+         * @param {Array|string} path The watched path.
+         * @param {Function} [handler] The handler to remove.
+         */
+        unwatch: function (path, handler) {
+            var self = this;
+            var watchers = self.watchers.splice(0, self.watchers.length);
+
+            path = _storePath(self, path).join('.');
+
+            self.each(watchers, function (watcher) {
+                if (watcher.path.join('.') !== path || (handler && watcher.handler !== handler)) {
+                    self.watchers.push(watcher);
+                }
+            });
+        },
+
+        /**
+         * Adds listener of space separated `events`. Events can be namespaced,
+         * e.g. `click.myWidget`, and `*` matches any characters of event type,
+         * e.g. `app:*`. Built-in events are `app:ready`, `dom:ready`,
+         * `window:load` and `error`.
+         *
+         * @param {string} events The event names.
+         * @param {Function} handler(event, args...) A function to execute when the event is emitted.
+         * @example
+         *
+         * app.on('cart:add.myWidget', function (event, item) { ... });
+         */
+        on: function (events, handler) {
+            _listen(this, events, handler, false);
+        },
+
+        /**
+         * Adds listener of `events` which is removed after the first call.
+         *
+         * @param {string} events The event names.
+         * @param {Function} handler(event, args...) A function to execute when the event is emitted.
+         */
+        once: function (events, handler) {
+            _listen(this, events, handler, true);
+        },
+
+        /**
+         * Removes listeners of `events` and `handler`. Event type or namespace
+         * can be omitted, e.g. `.myWidget` removes all listeners of namespace,
+         * without arguments all listeners are removed.
+         *
+         * @param {string} [events] The event names.
+         * @param {Function} [handler] The handler to remove.
+         */
+        off: function (events, handler) {
+            var self = this;
+            var parsed = typeof events === 'string' ? _parseEvents(events) : [{type: '', namespace: ''}];
+            var listeners = self.listeners.splice(0, self.listeners.length);
+
+            self.each(listeners, function (listener) {
+                for (var i = 0; i < parsed.length; i++) {
+                    if ((parsed[i].type === '' || parsed[i].type === listener.type) &&
+                        (parsed[i].namespace === '' || parsed[i].namespace === listener.namespace) &&
+                        (typeof handler !== 'function' || handler === listener.handler)) {
+                        return;
+                    }
+                }
+
+                self.listeners.push(listener);
+            });
+        },
+
+        /**
+         * Executes listeners of `event` with event object and given arguments.
+         * Namespaced event (e.g. `click.myWidget`) executes only listeners of
+         * the namespace. Errors thrown by listeners are reported to reporters
+         * registered by `onError`. Event without type executes nothing.
+         *
+         * @param {string} event The event name.
+         * @param {...*} [args] Any number of arguments to be passed to the listeners.
+         * @returns {number} Returns the number of executed listeners.
+         */
+        emit: function (event, args) {
+            var self = this;
+            var parsed = _parseEvents(event)[0];
+            var thisArgs;
+            var matched = [];
+
+            // empty or namespace-only event, e.g. `.cart`
+            if (!parsed || parsed.type === '') {
+                return 0;
+            }
+
+            thisArgs = [{
+                type: parsed.type,
+                namespace: parsed.namespace,
+                timeStamp: self.now()
+            }].concat(slice.call(arguments, 1));
+
+            self.each(self.listeners.slice(), function (listener) {
+                if (_matchEvent(listener.type, parsed.type) &&
+                    (parsed.namespace === '' || parsed.namespace === listener.namespace)) {
+                    matched.push(listener);
+                }
+            });
+
+            self.each(matched, function (listener) {
+                if (listener.once === true) {
+                    var index = self.indexOf(self.listeners, listener);
+
+                    // could be removed by another listener meanwhile
+                    if (index === -1) {
+                        return;
+                    }
+
+                    self.listeners.splice(index, 1);
+                }
+
+                // failing listener must not break the others nor the emitter,
+                // it's not passed to `error` which emits `error` event itself
+                try {
+                    listener.handler.apply(self, thisArgs);
+                } catch (ex) {
+                    _reportError(self, ex, {type: 'listener', event: event});
+                    _log(self, '', 'error', [ex]);
+                }
+            });
+
+            return matched.length;
+        },
+
+        /**
+         * Persists the `path` subtree of App data store in web storage. Stored
+         * value is hydrated immediately and written back on every change.
+         * Without available storage the data store keeps working in memory.
+         *
+         * @param {string} path The path of persisted subtree.
+         * @param {Object} [options] The options.
+         * @param {string|Storage} [options.storage='local'] The `local` or `session` storage, or the storage itself.
+         * @param {string} [options.key] The storage key, `app:` followed by `path` by default.
+         * @param {number} [options.ttl] Milliseconds after last change the stored value expires.
+         * @param {number} [options.version] The schema version of stored value.
+         * @param {Function} [options.migrate(value, fromVersion, toVersion)] A function returning value
+         *  migrated from older version, value of other version is discarded without it.
+         * @returns {boolean} Returns `true` if the storage is available, else `false`.
+         * @example
+         *
+         * app.persist('user.preferences', {ttl: 86400000, version: 2, migrate: function (value, from) { ... }});
+         */
+        persist: function (path, options) {
+            var self = this;
+            var storage;
+            var stored;
+
+            options = self.extend({
+                storage: 'local',
+                key: 'app:' + _storePath(self, path).join('.'),
+                ttl: undefined,
+                version: undefined,
+                migrate: undefined
+            }, options);
+
+            storage = _storage(options.storage);
+
+            if (storage === null) {
+                return false;
+            }
+
+            // hydrate
+            try {
+                stored = self.parseJson(storage.getItem(options.key));
+            } catch (ex) {
+                stored = null;
+            }
+
+            if (_isObject(stored) && stored.expires && stored.expires < self.now()) {
+                stored = null;
+            }
+
+            if (_isObject(stored) && stored.version !== options.version) {
+                stored.value = typeof options.migrate === 'function' ?
+                    options.migrate(stored.value, stored.version, options.version) : undefined;
+            }
+
+            if (_isObject(stored) && typeof stored.value !== 'undefined') {
+                var current = self.get(path);
+
+                // stored values take precedence over defaults set before
+                self.set(path, _isObject(current) && _isObject(stored.value) ?
+                    self.merge(self.deepExtend({}, current), stored.value, {arrays: 'replace'}) : stored.value);
+            } else {
+                storage.removeItem(options.key);
+            }
+
+            // write back
+            self.watch(path, function () {
+                var value = self.get(path);
+
+                try {
+                    if (typeof value === 'undefined') {
+                        storage.removeItem(options.key);
+                    } else {
+                        storage.setItem(options.key, JSON.stringify({
+                            value: value,
+                            version: options.version,
+                            expires: options.ttl > 0 ? self.now() + options.ttl : 0
+                        }));
+                    }
+                } catch (ex) {
+                    // storage is full, do not leave outdated value behind
+                    storage.removeItem(options.key);
+                }
+            });
+
+            return true;
+        },
+
+        /**
+         * Defines module `name`. The `factory` is executed once, after all
+         * modules listed in `deps` have been executed, and its return value
+         * becomes the module exports.
+         *
+         * @param {string} name The module name.
+         * @param {string[]} [deps] Names of modules the module depends on.
+         * @param {Function|*} factory The function returning module exports or the exports itself.
+         * @example
+         *
+         * app.define('cart', ['api', 'store'], function (api, store) { ... });
+         */
+        define: function (name, deps, factory) {
+            if (this.isArray(deps) === false) {
+                factory = deps;
+                deps = [];
+            }
+
+            if (this.modules.hasOwnProperty(name)) {
+                return this.error(new Error('App: Module "' + name + '" is already defined'));
+            }
+
+            this.modules[name] = {
+                deps: deps,
+                factory: factory,
+                state: 'defined',
+                exports: undefined
+            };
+
+            _flushRequires(this);
+        },
+
+        /**
+         * Executes `handler` with exports of modules listed in `deps` as soon
+         * as all of them are defined.
+         *
+         * @param {string[]|string} deps Names of required modules.
+         * @param {Function} [handler] A function to execute with module exports.
+         * @example
+         *
+         * app.require(['cart'], function (cart) { ... });
+         */
+        require: function (deps, handler) {
+            this.requires.push({
+                deps: this.isArray(deps) ? deps : [deps],
+                handler: handler
+            });
+
+            _flushRequires(this);
+        },
+
+        /**
+         * Registers plugin, see `App.plugin`. Calls of the loader stub are
+         * replayed once App boots.
+         *
+         * @param {string} name The plugin name.
+         * @param {Object} definition The plugin definition.
+         * @returns {boolean} Returns `true` if the plugin was installed, else `false`.
+         */
+        plugin: function (name, definition) {
+            return App.plugin.call(this, name, definition);
+        },
+
+        /**
+         * Loads scripts and stylesheets asynchronously. Scripts are downloaded
+         * in parallel but executed in order, URLs which have already been
+         * loaded are not requested again.
+         *
+         * @param {string[]|string} urls The URLs to load.
+         * @param {Object|Function} [options] The options or `complete` callback.
+         * @param {string} [options.type] Force asset type, `js` or `css`, detected from URL by default.
+         * @param {boolean} [options.ordered=true] Execute scripts in order of `urls`.
+         * @param {number} [options.timeout=10000] Milliseconds after the asset is reported as failed.
+         * @param {Function} [options.complete] A function to execute with error (or `null`) and asset records.
+         * @returns {Promise} Returns promise resolved with asset records.
+         * @example
+         *
+         * app.load(['//code.jquery.com/jquery.min.js', 'style.css'], function (error, assets) { ... });
+         *
+         * app.load('plugin.js').then(function (assets) { ... }, function (error) { ... });
+         */
+        load: function (urls, options) {
+            var self = this;
+            var deferred = _deferred();
+            var results = [];
+            var remaining;
+            var sequential;
+
+            if (typeof options === 'function') {
+                options = {complete: options};
+            }
+
+            options = self.extend({
+                type: undefined,
+                ordered: true,
+                timeout: 10000,
+                complete: undefined
+            }, options);
+
+            urls = self.isArray(urls) ? urls : [urls];
+            remaining = urls.length;
+
+            // without `async` property support scripts are executed as they
+            // arrive, so have to be loaded one by one
+            sequential = options.ordered && !!document && !('async' in document.createElement('script'));
+
+            var finish = function () {
+                var failed = [];
+                var error = null;
+
+                self.each(results, function (asset) {
+                    if (asset.status !== 'loaded') {
+                        failed.push(asset.url + ' (' + asset.status + ')');
+                    }
+                });
+
+                if (failed.length > 0) {
+                    error = new Error('App: Failed to load ' + failed.join(', '));
+                    error.assets = results;
+                }
+
+                if (typeof options.complete === 'function') {
+                    options.complete(error, results);
+                }
+
+                if (error) {
+                    // error is reported below, do not report it as unhandled
+                    deferred.promise['catch'](self.noop);
+                    deferred.reject(error);
+                    self.error(error);
+                } else {
+                    deferred.resolve(results);
+                }
+            };
+
+            var start = function (i) {
+                _loadAsset(self, urls[i], options, function (asset) {
+                    results[i] = asset;
+
+                    if (sequential && i + 1 < urls.length) {
+                        start(i + 1);
+                    }
+
+                    if (--remaining === 0) {
+                        finish();
+                    }
+                });
+            };
+
+            if (remaining === 0) {
+                finish();
+            } else if (sequential) {
+                start(0);
+            } else {
+                for (var i = 0; i < urls.length; i++) {
+                    start(i);
+                }
+            }
+
+            return deferred.promise;
+        },
+
+        /**
+         * Takes a function and returns a new one that will always have a particular context.
+         *
+         * @param {*} [context=App] The object to which the context (this) of the function should be set.
+         * @param {Function|Array} func The function whose context will be changed.
+         * @param {*} [args] Array of arguments or any number of arguments to be passed to the function referenced in the function argument.
+         * @returns {Function} Returns the new wrapped function.
+         */
+        proxy: function (context, func, args) {
+            var thisObj;
+            var thisFunc;
+            var thisArgs;
+
+            if (typeof context === 'function') {
+                thisObj = App;
+                thisFunc = context;
+                thisArgs = this.isArray(func) ? func : slice.call(arguments, 1);
+            } else {
+                thisObj = context;
+                thisFunc = func;
+                thisArgs = this.isArray(args) ? args : slice.call(arguments, 2);
+            }
+
+            return thisFunc.apply(thisObj, thisArgs);
+        },
+
+        /**
+         * Iterates over items of array, array-like (e.g. `NodeList`) or own
+         * properties of object `collection`, returning `false` from
+         * `iteratee` stops the iteration.
+         *
+         * @param {Array|Object} collection The collection to iterate over.
+         * @param {Function} iteratee(value, key, collection) The function invoked per iteration.
+         * @returns {Array|Object} Returns `collection`.
+         * @example
+         *
+         * App.for(array, function (item, i) { ... });
+         *
+         * App.each(object, function (value, key) { if (key === 'last') { return false; } });
+         */
+        each: function (collection, iteratee) {
+            _iterate(collection, iteratee);
+
+            return collection;
+        },
+
+        /**
+         * Iterates over items of `collection`, same as `each`.
+         *
+         * @param {Array|Object} collection The collection to iterate over.
+         * @param {Function} iteratee(value, key, collection) The function invoked per iteration.
+         * @returns {Array|Object} Returns `collection`.
+         * @example
+         *
+         * App.forEach(object, function (item, key) { ... });
+         */
+        forEach: function (collection, iteratee) {
+            _iterate(collection, iteratee);
+
+            return collection;
+        },
+
+        /**
+         * @param {Array|Object} collection The collection to iterate over.
+         * @param {Function|string} predicate(value, key, collection) The function or property name invoked per iteration.
+         * @returns {Array} Returns the items `predicate` returns truthy for.
+         * @example
+         *
+         * App.filter(users, 'active');
+         */
+        filter: function (collection, predicate) {
+            var results = [];
+
+            predicate = _iteratee(predicate);
+
+            _iterate(collection, function (value, key) {
+                if (predicate(value, key, collection)) {
+                    results.push(value);
+                }
+            });
+
+            return results;
+        },
+
+        /**
+         * @param {Array|Object} collection The collection to iterate over.
+         * @param {Function} iteratee(accumulator, value, key, collection) The function invoked per iteration.
+         * @param {*} [accumulator] The initial value, the first item is used when omitted.
+         * @returns {*} Returns the accumulated value.
+         * @example
+         *
+         * App.reduce([1, 2, 3], function (sum, n) { return sum + n; }, 0);
+         */
+        reduce: function (collection, iteratee, accumulator) {
+            var initial = arguments.length > 2;
+
+            _iterate(collection, function (value, key) {
+                if (initial) {
+                    accumulator = iteratee(accumulator, value, key, collection);
+                } else {
+                    accumulator = value;
+                    initial = true;
+                }
+            });
+
+            return accumulator;
+        },
+
+        /**
+         * @param {Array|Object} collection The collection to search.
+         * @param {Function|string} predicate(value, key, collection) The function or property name invoked per iteration.
+         * @returns {*} Returns the first item `predicate` returns truthy for, else `undefined`.
+         */
+        find: function (collection, predicate) {
+            var result;
+
+            predicate = _iteratee(predicate);
+
+            _iterate(collection, function (value, key) {
+                if (predicate(value, key, collection)) {
+                    result = value;
+                    return false;
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * @param {Array|Object} collection The collection to check.
+         * @param {Function|string} [predicate] The function or property name invoked per iteration.
+         * @returns {boolean} Returns `true` if `predicate` returns truthy for any item, else `false`.
+         */
+        some: function (collection, predicate) {
+            var result = false;
+
+            predicate = _iteratee(predicate);
+
+            _iterate(collection, function (value, key) {
+                result = !!predicate(value, key, collection);
+                return !result;
+            });
+
+            return result;
         },
 
         /**
-         * Document ready handler.
-         *
-         * @param {Function} handler A function to execute after the DOM is ready.
-         * @param {*} [args] Any number of arguments to be passed to the function referenced in the handler argument.
+         * @param {Array|Object} collection The collection to check.
+         * @param {Function|string} [predicate] The function or property name invoked per iteration.
+         * @returns {boolean} Returns `true` if `predicate` returns truthy for all items, else `false`.
          */
-        ready: function (handler, args) {
-            var thisArgs = slice.call(arguments, 1);
+        every: function (collection, predicate) {
+            var result = true;
 
-            function readyFn () {
-                // jQuery DOM ready fires after this DOM ready listener,
-                // 1ms timeout fix it...
-                setTimeout(function () {
-                    handler.apply(undefined, thisArgs);
-                }, 1);
-            }
+            predicate = _iteratee(predicate);
 
-            if (document.readyState !== 'loading') {
-                readyFn();
-            } else if (document.addEventListener) {
-                document.addEventListener('DOMContentLoaded', function () {
-                    readyFn();
-                });
-            } else {
-                //noinspection JSUnresolvedFunction
-                document.attachEvent('onreadystatechange', function() {
-                    if (document.readyState !== 'loading') {
-                        readyFn();
-                    }
-                });
-            }
+            _iterate(collection, function (value, key) {
+                result = !!predicate(value, key, collection);
+                return result;
+            });
+
+            return result;
         },
 
         /**
-         * @borrows _getOrSet as get
+         * @param {Object|Array} object The object to query.
+         * @returns {string[]} Returns own property names (indexes of array-likes).
          */
-        get: function (path, defaultValue) {
-            return _getOrSet(this, path, defaultValue);
+        keys: function (object) {
+            var results = [];
+
+            _iterate(object, function (value, key) {
+                results.push(String(key));
+            });
+
+            return results;
         },
 
         /**
-         * @borrows _getOrSet as set
+         * @param {Object|Array} object The object to query.
+         * @returns {Array} Returns own property values.
          */
-        set: function (path, value) {
-            return _getOrSet(this, path, value, true);
+        values: function (object) {
+            var results = [];
+
+            _iterate(object, function (value) {
+                results.push(value);
+            });
+
+            return results;
         },
 
         /**
-         * Takes a function and returns a new one that will always have a particular context.
+         * @param {Array|Object} collection The collection to iterate over.
+         * @param {Function|string} iteratee(value, key, collection) The function or property name returning group key.
+         * @returns {Object} Returns arrays of items by group key.
+         * @example
          *
-         * @param {*} [context=App] The object to which the context (this) of the function should be set.
-         * @param {Function|Array} func The function whose context will be changed.
-         * @param {*} [args] Array of arguments or any number of arguments to be passed to the function referenced in the function argument.
-         * @returns {Function} Returns the new wrapped function.
+         * App.groupBy(users, 'role');
+         * // > {admin: [...], editor: [...]}
          */
-        proxy: function (context, func, args) {
-            var thisObj;
-            var thisFunc;
-            var thisArgs;
+        groupBy: function (collection, iteratee) {
+            var groups = {};
 
-            if (typeof context === 'function') {
-                thisObj = App;
-                thisFunc = context;
-                thisArgs = this.isArray(func) ? func : slice.call(arguments, 1);
-            } else {
-                thisObj = context;
-                thisFunc = func;
-                thisArgs = this.isArray(args) ? args : slice.call(arguments, 2);
-            }
+            iteratee = _iteratee(iteratee);
 
-            return thisFunc.apply(thisObj, thisArgs);
+            _iterate(collection, function (value, key) {
+                var group = iteratee(value, key, collection);
+
+                if (Object.prototype.hasOwnProperty.call(groups, group)) {
+                    groups[group].push(value);
+                } else {
+                    groups[group] = [value];
+                }
+            });
+
+            return groups;
+        },
+
+        /**
+         * @param {Array|Object} collection The collection to inspect.
+         * @param {Function|string} [iteratee] The function or property name returning compared value.
+         * @returns {Array} Returns items without duplicates (compared by `===`), first occurrence wins.
+         */
+        uniq: function (collection, iteratee) {
+            var results = [];
+            var seen = [];
+
+            iteratee = _iteratee(iteratee);
+
+            _iterate(collection, function (value, key) {
+                var computed = iteratee(value, key, collection);
+
+                if (App.prototype.indexOf(seen, computed) === -1) {
+                    seen.push(computed);
+                    results.push(value);
+                }
+            });
+
+            return results;
         },
 
         /**
-         * Iterates over elements of `collection` invoking `iteratee` for each element.
+         * Creates a function delaying invocation of `func` until `wait`
+         * milliseconds have elapsed since its last call.
          *
-         * @param {Array} collection
-         * @param {Function} iteratee
+         * @param {Function} func The function to debounce.
+         * @param {number} wait The number of milliseconds to delay.
+         * @param {boolean} [immediate=false] Invoke on the leading instead of trailing edge.
+         * @returns {Function} Returns the debounced function with `cancel()` method.
          * @example
          *
-         * App.for(array, function (item, i) { ... });
+         * window.onresize = app.debounce(layout, 200);
          */
-        each: function (collection, iteratee) {
-            if (this.isArray(collection) === false) {
-                return;
-            }
-            
-            for (var i = 0; i < collection.length; i++) {
-                iteratee(collection[i], i);
-            }
-        },
+        debounce: function (func, wait, immediate) {
+            var timer = null;
+
+            var debounced = function () {
+                var thisObj = this;
+                var args = arguments;
+                var callNow = immediate && timer === null;
+
+                clearTimeout(timer);
+
+                timer = setTimeout(function () {
+                    timer = null;
 
-        /** @borrows self.each as self.for */
-        for: self.each,
+                    if (!immediate) {
+                        func.apply(thisObj, args);
+                    }
+                }, wait);
+
+                if (callNow) {
+                    func.apply(thisObj, args);
+                }
+            };
+
+            debounced.cancel = function () {
+                clearTimeout(timer);
+                timer = null;
+            };
+
+            return debounced;
+        },
 
         /**
-         * Iterates over elements of `collection` invoking `iteratee` for each element.
+         * Creates a function invoking `func` at most once per `wait`
+         * milliseconds, on the leading edge and with the last arguments on
+         * the trailing edge.
          *
-         * @param {Object} collection
-         * @param {Function} iteratee
+         * @param {Function} func The function to throttle.
+         * @param {number} wait The number of milliseconds to throttle invocations to.
+         * @returns {Function} Returns the throttled function with `cancel()` method.
          * @example
          *
-         * App.forEach(object, function (item, key) { ... });
+         * window.onscroll = app.throttle(update, 100);
          */
-        forEach: function (collection, iteratee) {
-            if (typeof collection !== 'object') {
-                return;
-            }
-            
-            for (var prop in collection) {
-                if(collection.hasOwnProperty(prop)) {
-                    iteratee(collection[prop], prop);
+        throttle: function (func, wait) {
+            var timer = null;
+            var previous = 0;
+            var thisObj;
+            var args;
+
+            var invoke = function () {
+                previous = new Date().getTime();
+                timer = null;
+                func.apply(thisObj, args);
+                thisObj = args = null;
+            };
+
+            var throttled = function () {
+                var remaining = wait - (new Date().getTime() - previous);
+
+                thisObj = this;
+                args = arguments;
+
+                if (remaining <= 0 || remaining > wait) {
+                    clearTimeout(timer);
+                    invoke();
+                } else if (timer === null) {
+                    timer = setTimeout(invoke, remaining);
                 }
-            }
+            };
+
+            throttled.cancel = function () {
+                clearTimeout(timer);
+                timer = null;
+                previous = 0;
+            };
+
+            return throttled;
         },
 
         /**
-         * Base implementation of recursively extend.
+         * Recursively merges plain objects and arrays of `sources` into `out`,
+         * arrays are merged by index (see `merge`). Any object `out`, e.g.
+         * class instance, is merged into, not replaced.
          *
          * @param {Object} out The destination object.
          * @param {...Object} [sources] The source objects.
          * @returns {Object} Returns `out`.
          */
         deepExtend: function (out, sources) {
-            var self = this;
-
             out = out || {};
 
             for (var i = 1; i < arguments.length; i++) {
-                var obj = arguments[i];
-
-                if (!obj) {
-                    continue;
-                }
-
-                for (var key in obj) {
-                    if (obj.hasOwnProperty(key)) {
-                        if (typeof obj[key] === 'object')
-                            out[key] = self.deepExtend(out[key], obj[key]);
-                        else
-                            out[key] = obj[key];
-                    }
+                if (_isObject(arguments[i])) {
+                    out = _mergeValue(out, arguments[i], {}, [], []);
                 }
             }
 
@@ -319,14 +5867,15 @@
         },
 
         /**
-         * Base implementation of extend.
+         * Base implementation of extend, keys `__proto__`, `constructor` and
+         * `prototype` are skipped.
          *
          * @param {Object} [out] The destination object.
          * @param {...Object} [sources] The source objects.
          * @returns {Object} Returns `out`.
          */
         extend: function(out, sources) {
-            if (typeof out !== 'object') { out = {}; }
+            if (!_isObject(out)) { out = {}; }
 
             for (var i = 1; i < arguments.length; i++) {
                 if (!arguments[i]) {
@@ -334,7 +5883,7 @@
                 }
 
                 for (var key in arguments[i]) {
-                    if (arguments[i].hasOwnProperty(key)) {
+                    if (arguments[i].hasOwnProperty(key) && !_isUnsafeKey(key)) {
                         out[key] = arguments[i][key];
                     }
                 }
@@ -343,14 +5892,45 @@
             return out;
         },
 
+        /**
+         * Recursively merges `source` into `target`. Dates and regular
+         * expressions are cloned, DOM nodes and class instances are copied
+         * by reference, cyclic references are kept cyclic and keys
+         * `__proto__`, `constructor` and `prototype` are skipped.
+         *
+         * @param {Object|Array} target The destination value.
+         * @param {Object|Array} source The source value.
+         * @param {Object} [options]
+         * @param {string} [options.arrays='index'] Merge arrays by `index`, `concat` or `replace` them.
+         * @param {Function} [options.merge] Custom merge of key called with
+         *  `(targetValue, sourceValue, key, path)`, returning `undefined` uses the default merge.
+         * @returns {Object|Array} Returns the merged value, `target` unless types differ.
+         * @example
+         *
+         * app.merge(config, JSON.parse(response), {arrays: 'replace'});
+         *
+         * app.merge(config, defaults, {merge: function (value, source, key) {
+         *     return key === 'handlers' ? [].concat(value || [], source) : undefined;
+         * }});
+         */
+        merge: function (target, source, options) {
+            options = options || {};
+
+            return _mergeValue(target, source, options, [], []);
+        },
+
         /**
          * Gets the index at which the first occurrence of `value` is found in `array`.
          *
-         * @param {Array} array The array to search.
+         * @param {Array} array The array or array-like to search.
          * @param {*} target The value to search for.
          * @returns {number} Returns the index of the matched value, else `-1`.
          */
         indexOf: function (array, target) {
+            if (!_isArrayLike(array)) {
+                return -1;
+            }
+
             for (var i = 0; i < array.length; i++) {
                 if (array[i] === target) {
                     return i;
@@ -373,16 +5953,18 @@
         /**
          * Implementation of map.
          *
-         * @param {Array} collection The collection to iterate over.
-         * @param {Function} iteratee(value, index) The function invoked per iteration.
+         * @param {Array|Object} collection The collection to iterate over.
+         * @param {Function|string} iteratee(value, key, collection) The function or property name invoked per iteration.
          * @returns {Array} Returns the new mapped array.
          */
         map: function (collection, iteratee) {
             var results = [];
 
-            for (var i = 0; i < collection.length; i++) {
-                results.push(iteratee(collection[i], i));
-            }
+            iteratee = _iteratee(iteratee);
+
+            _iterate(collection, function (value, key) {
+                results.push(iteratee(value, key, collection));
+            });
 
             return results;
         },
@@ -397,6 +5979,371 @@
             return new Date().getTime();
         },
 
+        /**
+         * Sends HTTP request by `fetch`, or XHR where `fetch` can not be
+         * aborted. Response body is parsed by `parseJson` or `parseHtml`.
+         * Failed requests are reported by `error` and retried with
+         * exponential backoff on network errors, timeouts and 5xx statuses.
+         * Identical GET requests in progress are sent only once, aborting
+         * the shared request aborts it only for the caller.
+         *
+         * @param {string} url The request URL.
+         * @param {Object} [options] The options.
+         * @param {string} [options.method='GET'] The HTTP method.
+         * @param {Object} [options.headers] The request headers.
+         * @param {*} [options.data] The body, objects are sent as JSON or as query string for GET.
+         * @param {string} [options.responseType] The `json`, `html` or `text`, detected from `Content-Type` by default.
+         * @param {number} [options.timeout=0] Milliseconds after the request is aborted.
+         * @param {number} [options.retries=0] Number of retries of failed request.
+         * @param {number} [options.retryDelay=300] Milliseconds before the first retry, doubled for each next one.
+         * @param {boolean} [options.dedupe=true] Share identical GET requests in progress.
+         * @param {boolean} [options.credentials=false] Send cookies with cross-origin request.
+         * @returns {Promise} Returns promise resolved with response, with `abort` method.
+         * @example
+         *
+         * app.request('/api/cart', {responseType: 'json', retries: 2}).then(function (response) { ... });
+         */
+        request: function (url, options) {
+            var self = this;
+            var attempt = 0;
+            var handle;
+            var key;
+            var promise;
+
+            options = self.extend({
+                method: 'GET',
+                headers: {},
+                data: undefined,
+                responseType: undefined,
+                timeout: 0,
+                retries: 0,
+                retryDelay: 300,
+                dedupe: true,
+                credentials: false
+            }, options, {url: url});
+
+            options.method = options.method.toUpperCase();
+
+            self.each(self.interceptors.request, function (interceptor) {
+                options = interceptor.call(self, options) || options;
+            });
+
+            if (options.method === 'GET' && options.dedupe) {
+                key = [options.url, options.responseType, options.credentials, JSON.stringify(options.headers),
+                    JSON.stringify(options.data)].join(' ');
+
+                if (self.requests.hasOwnProperty(key)) {
+                    return _subscribe(self, self.requests[key], options);
+                }
+            }
+
+            promise = new Promise(function (resolve, reject) {
+                var send = function () {
+                    handle = _send(self, options, function (error, response) {
+                        // network errors, timeouts and server errors are retried
+                        if (error && !error.aborted && (error.status === 0 || error.status >= 500) && attempt < options.retries) {
+                            var timer = setTimeout(send, options.retryDelay * Math.pow(2, attempt++));
+
+                            handle = {
+                                abort: function () {
+                                    var aborted = _requestError('aborted', options);
+
+                                    clearTimeout(timer);
+                                    aborted.aborted = true;
+                                    finish(aborted);
+                                }
+                            };
+
+                            return;
+                        }
+
+                        finish(error, response);
+                    });
+                };
+
+                var finish = function (error, response) {
+                    if (key && self.requests.hasOwnProperty(key) && self.requests[key].promise === promise) {
+                        delete self.requests[key];
+                    }
+
+                    if (!error) {
+                        try {
+                            self.each(self.interceptors.response, function (interceptor) {
+                                response = interceptor.call(self, response, options) || response;
+                            });
+                        } catch (ex) {
+                            error = ex;
+                        }
+                    }
+
+                    if (error) {
+                        reject(error);
+                        self.error(error);
+                    } else {
+                        resolve(response);
+                    }
+                };
+
+                send();
+            });
+
+            // error is reported by `error`, do not report it as unhandled
+            promise['catch'](self.noop);
+
+            promise.abort = function () {
+                handle.abort();
+            };
+
+            if (key) {
+                self.requests[key] = {
+                    promise: promise,
+                    abort: function () {
+                        // identical request sent meanwhile must not share the aborted one
+                        delete self.requests[key];
+                        promise.abort();
+                    },
+                    callers: 0
+                };
+
+                return _subscribe(self, self.requests[key], options);
+            }
+
+            return promise;
+        },
+
+        /**
+         * Compiles template `source`, or registers it as `name` for `render`
+         * and partials. Values are HTML escaped, use `{{{path}}}` or
+         * `{{& path}}` for raw output. Paths missing in the data are looked
+         * up in App data store.
+         *
+         * Syntax: `{{user.name}}`, `{{items[0]}}`, `{{#each items}}{{@index}}:
+         * {{this}}{{else}}empty{{/each}}`, `{{#if path}}...{{else}}...{{/if}}`,
+         * `{{#unless path}}...{{/unless}}`, `{{#with path}}...{{/with}}`,
+         * `{{> partial}}` and `{{! comment}}`.
+         *
+         * @param {string} [name] The template name.
+         * @param {string} source The template source.
+         * @returns {Function} Returns the function rendering template with data.
+         * @example
+         *
+         * app.template('<li>{{name}}</li>')({name: 'Item'});
+         *
+         * app.template('item', '<li>{{name}}</li>');
+         * app.render('item', {name: 'Item'});
+         */
+        template: function (name, source) {
+            var self = this;
+            var nodes;
+
+            if (typeof source === 'undefined') {
+                source = name;
+                name = undefined;
+            }
+
+            // source like `constructor` must not hit inherited properties
+            if (self.compiled.hasOwnProperty(source)) {
+                nodes = self.compiled[source];
+            } else {
+                try {
+                    nodes = self.compiled[source] = _compileTemplate(source);
+                } catch (ex) {
+                    nodes = [];
+                    self.error(ex);
+                }
+            }
+
+            var template = function (data) {
+                return _renderTemplate(self, nodes, [{context: data || {}, vars: {}}]);
+            };
+
+            template.nodes = nodes;
+
+            if (name) {
+                self.templates[name] = template;
+            }
+
+            return template;
+        },
+
+        /**
+         * Renders template `name`, registered by `template` or defined by
+         * `<script type="text/template" id="name">` element.
+         *
+         * @param {string} name The template name.
+         * @param {Object} [data] The template data.
+         * @returns {string} Returns the rendered string.
+         */
+        render: function (name, data) {
+            var template = _findTemplate(this, name);
+
+            return template ? template(data) : '';
+        },
+
+        /**
+         * Escapes HTML special characters of `string`.
+         *
+         * @param {string} string The string to escape.
+         * @returns {string} Returns the escaped string.
+         */
+        escapeHtml: function (string) {
+            var entities = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;', '`': '&#96;', '=': '&#61;'};
+
+            return String(string).replace(/[&<>"'`=]/g, function (character) {
+                return entities[character];
+            });
+        },
+
+        /**
+         * Registers component `name`, mounted on DOM ready to each element
+         * with `data-app` attribute containing the name. Definition methods
+         * are copied to the instance with `name`, `id`, `element` and
+         * `options` (JSON of `data-app-options` attribute) properties.
+         *
+         * @param {string} name The component name.
+         * @param {Object} definition The component definition.
+         * @param {Function} [definition.mount(element, options)] A function to execute on mount.
+         * @param {Function} [definition.unmount(element)] A function to execute on unmount.
+         * @example
+         *
+         * // <div data-app="carousel" data-app-options='{"speed":3}'></div>
+         * app.component('carousel', {mount: function (element, options) { ... }, unmount: function (element) { ... }});
+         */
+        component: function (name, definition) {
+            this.components[name] = definition;
+
+            if (this.domready === true) {
+                this.mount();
+            }
+        },
+
+        /**
+         * Mounts registered components of `data-app` elements in `root`,
+         * including `root` itself, which have not been mounted yet.
+         *
+         * @param {Element|Document} [root=document] The element to search in.
+         * @returns {Object[]} Returns the mounted instances.
+         */
+        mount: function (root) {
+            var self = this;
+            var mounted = [];
+            var elements;
+
+            root = root || document;
+
+            // nothing to mount without DOM
+            if (!root) {
+                return mounted;
+            }
+
+            elements = _query(root, '[data-app]');
+
+            if (root.nodeType === 1 && root.getAttribute('data-app')) {
+                elements.unshift(root);
+            }
+
+            self.each(elements, function (element) {
+                self.each(self.trim(element.getAttribute('data-app')).split(/\s+/), function (name) {
+                    if (!self.components.hasOwnProperty(name)) {
+                        return;
+                    }
+
+                    for (var i = 0; i < self.instances.length; i++) {
+                        if (self.instances[i].element === element && self.instances[i].name === name) {
+                            return;
+                        }
+                    }
+
+                    mounted.push(_mountComponent(self, element, name));
+                });
+            });
+
+            return mounted;
+        },
+
+        /**
+         * Unmounts component instances of `root` and its descendants.
+         *
+         * @param {Element|Document} [root=document] The element to search in.
+         * @returns {Object[]} Returns the unmounted instances.
+         */
+        unmount: function (root) {
+            var self = this;
+            var unmounted = [];
+            var instances = self.instances.splice(0, self.instances.length);
+
+            root = root || document;
+
+            self.each(instances, function (instance) {
+                if (!_contains(root, instance.element)) {
+                    self.instances.push(instance);
+                    return;
+                }
+
+                unmounted.push(instance);
+
+                if (typeof instance.unmount === 'function') {
+                    instance.unmount(instance.element);
+                }
+            });
+
+            return unmounted;
+        },
+
+        /**
+         * Mounts and unmounts components of elements inserted to and removed
+         * from `root` using `MutationObserver`.
+         *
+         * @param {Element} [root=document.body] The observed element.
+         * @returns {MutationObserver|null} Returns the observer or `null` if it is not supported.
+         */
+        observeComponents: function (root) {
+            var self = this;
+            var Observer = window.MutationObserver || window.WebKitMutationObserver;
+            var observer;
+
+            if (!Observer) {
+                return null;
+            }
+
+            observer = new Observer(function (mutations) {
+                self.each(mutations, function (mutation) {
+                    self.each(_toArray(mutation.removedNodes), function (node) {
+                        // moved nodes are kept mounted
+                        if (node.nodeType === 1 && !_contains(document, node)) {
+                            self.unmount(node);
+                        }
+                    });
+
+                    self.each(_toArray(mutation.addedNodes), function (node) {
+                        if (node.nodeType === 1) {
+                            self.mount(node);
+                        }
+                    });
+                });
+            });
+
+            observer.observe(root || document.body, {
+                childList: true,
+                subtree: true
+            });
+
+            return observer;
+        },
+
+        /**
+         * Wraps DOM elements to chainable object with `find`, `closest`,
+         * class, attribute and data manipulation, insertion and event methods.
+         *
+         * @param {string|Element|Array|NodeList} [selector] The CSS selector, HTML string, element or list of elements.
+         * @param {Element} [context=document] The element to search in.
+         * @returns {Object} Returns the wrapper.
+         * @example
+         *
+         * app.$('.cart').addClass('is-active').find('ul').append('<li>Item</li>');
+         */
+        $: $,
+
         /**
          * Get HTML from `data`.
          *
@@ -492,13 +6439,12 @@
                                 try {
                                     return fn.apply(this, arguments);
                                 } catch (ex) {
-                                    var errorPrefix = name + '.' + fnName + '() - ';
-
-                                    ex.methodName = fnName;
-                                    ex.name = name;
-                                    ex.name = errorPrefix + ex.name;
-                                    ex.message = errorPrefix + ex.message;
-                                    self.error(ex);
+                                    // thrown value is reported as is, location is in report
+                                    self.error(ex, {
+                                        object: name,
+                                        method: fnName,
+                                        prefix: name + '.' + fnName + '() - '
+                                    });
                                 }
                             };
 
@@ -519,7 +6465,7 @@
 
             do {
                 prefix += ~~(Math.random() * 1000000);
-            } while (document.getElementById(prefix));
+            } while (document && document.getElementById(prefix));
 
             return prefix;
         },
@@ -527,10 +6473,15 @@
         /**
          * Returns version if browser is IE, for others browsers returns false.
          *
+         * @deprecated Detect features by `supports` instead.
          * @type {Boolean|number}
          */
         ie: (function () {
-            var ua = window.navigator.userAgent;
+            var ua = window.navigator && window.navigator.userAgent;
+
+            if (typeof ua !== 'string') {
+                return false;
+            }
 
             var msie = ua.indexOf('MSIE ');
             if (msie > 0) {
@@ -581,14 +6532,32 @@
         }
     };
 
-    // Assign App as window property
-    var that = window[typeof APP_VAR === 'string' ? APP_VAR : 'App'] = App;
+    // The default instance keeps its state in the prototype
+    App.prototype.extend(App.prototype, _state());
+
+    // `for` is a reserved word in ES3, so alias outside the literal
+    /** @borrows App#each as App#for */
+    App.prototype['for'] = App.prototype.each;
+
+    // Pure utilities work without instance and DOM, e.g. `App.extend()`
+    App.getOrSet = _getOrSet;
 
-    // Copy all properties onto namespace (ES3 safe for loop)
-    for (var key in App) {
-        if (App.hasOwnProperty(key)) {
-            that[key] = App[key];
+    App.prototype.each(pureUtilities, function (name) {
+        App[name] = App.prototype[name];
+    });
+
+    if (expose) {
+        // Assign App as window property
+        var that = window[appVar] = App;
+
+        // Copy all properties onto namespace (ES3 safe for loop)
+        for (var key in App) {
+            if (App.hasOwnProperty(key)) {
+                that[key] = App[key];
+            }
         }
     }
 
-}(window, document));
+    return App;
+
+}));
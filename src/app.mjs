@@ -0,0 +1,40 @@
+/**
+ * ES module entry, App is imported from the UMD build (CommonJS branch in
+ * Node and bundlers) and exported as default together with pure utilities.
+ *
+ * import App, {extend, getOrSet} from 'app-js';
+ */
+import App from './app.js';
+
+export default App;
+
+export var getOrSet = App.getOrSet;
+export var deepExtend = App.deepExtend;
+export var extend = App.extend;
+export var merge = App.merge;
+export var each = App.each;
+export var forEach = App.forEach;
+export var filter = App.filter;
+export var reduce = App.reduce;
+export var find = App.find;
+export var some = App.some;
+export var every = App.every;
+export var keys = App.keys;
+export var values = App.values;
+export var groupBy = App.groupBy;
+export var uniq = App.uniq;
+export var debounce = App.debounce;
+export var throttle = App.throttle;
+export var indexOf = App.indexOf;
+export var isArray = App.isArray;
+export var map = App.map;
+export var now = App.now;
+export var parseJson = App.parseJson;
+export var parseCamelCase = App.parseCamelCase;
+export var trim = App.trim;
+export var type = App.type;
+export var isUndefined = App.isUndefined;
+export var escapeHtml = App.escapeHtml;
+export var noop = App.noop;
+export var falsy = App.falsy;
+export var truthy = App.truthy;
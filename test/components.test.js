@@ -0,0 +1,111 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var page = function (body) {
+    return helpers.create({html: '<!DOCTYPE html><html><head></head><body>' + body + '</body></html>'});
+};
+
+var counter = function (log) {
+    return {
+        mount: function (element, options) {
+            log.push('mount ' + this.name + ' ' + element.id + ' ' + (options.start || 0));
+        },
+        unmount: function (element) {
+            log.push('unmount ' + this.name + ' ' + element.id);
+        }
+    };
+};
+
+test('components are mounted on DOM ready with their options, once per element', async function () {
+    var created = page('<div id="a" data-app="counter clock" data-app-options=\'{"start":3}\'></div>' +
+        '<p data-app="counter"></p>');
+    var log = [];
+
+    created.app.component('counter', counter(log));
+    created.app.component('clock', counter(log));
+
+    await created.app.ready();
+
+    created.app.mount();
+
+    var generated = created.window.document.querySelector('p').id;
+
+    assert.ok(/^counter-\d+$/.test(generated));
+    assert.deepStrictEqual(log, ['mount counter a 3', 'mount clock a 3', 'mount counter ' + generated + ' 0']);
+    assert.strictEqual(created.app.instances.length, 3);
+});
+
+test('components registered after DOM ready are mounted right away', async function () {
+    var created = page('<div id="late" data-app="late"></div>');
+    var log = [];
+
+    await created.app.ready();
+
+    created.app.component('late', counter(log));
+
+    assert.deepStrictEqual(log, ['mount late late 0']);
+});
+
+test('failing component and invalid options are reported, the others are mounted', async function () {
+    var created = page('<div id="bad" data-app="bad"></div><div id="broken" data-app="counter" ' +
+        'data-app-options="{oops"></div><div id="good" data-app="counter"></div>');
+    var log = [];
+    var reports = [];
+
+    created.app.onError(function (report) {
+        reports.push(report);
+    });
+    created.app.component('bad', {
+        mount: function () {
+            throw new Error('mount failed');
+        }
+    });
+    created.app.component('counter', counter(log));
+
+    await created.app.ready();
+
+    assert.deepStrictEqual(log, ['mount counter broken 0', 'mount counter good 0']);
+    assert.strictEqual(reports[0].message, 'mount failed');
+    assert.strictEqual(reports[0].object, 'bad#bad');
+    assert.ok(/^App: Invalid options of component "counter"/.test(reports[1].message));
+});
+
+test('unmount removes instances of the subtree only', async function () {
+    var created = page('<section id="s"><div id="a" data-app="counter"></div></section><div id="b" data-app="counter"></div>');
+    var log = [];
+
+    created.app.component('counter', counter(log));
+
+    await created.app.ready();
+
+    var unmounted = created.app.unmount(created.window.document.getElementById('s'));
+
+    assert.strictEqual(unmounted.length, 1);
+    assert.strictEqual(created.app.instances.length, 1);
+    assert.strictEqual(log.pop(), 'unmount counter a');
+});
+
+test('observed elements are mounted when inserted and unmounted when removed', async function () {
+    var created = page('<main></main>');
+    var document = created.window.document;
+    var log = [];
+    var element;
+
+    created.app.component('counter', counter(log));
+
+    await created.app.ready();
+
+    created.app.observeComponents();
+    document.querySelector('main').innerHTML = '<div id="dynamic" data-app="counter"></div>';
+    await helpers.wait();
+
+    element = document.getElementById('dynamic');
+    document.body.appendChild(element);
+    await helpers.wait();
+
+    element.parentNode.removeChild(element);
+    await helpers.wait();
+
+    assert.deepStrictEqual(log, ['mount counter dynamic 0', 'unmount counter dynamic']);
+});
@@ -0,0 +1,43 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var create = function () {
+    return helpers.create({
+        html: '<!DOCTYPE html><html><head></head><body><ul id="list"><li>a</li></ul><p class="text"></p></body></html>'
+    });
+};
+
+test('HTML string insertion keeps text nodes', function () {
+    var created = create();
+    var paragraph = created.window.document.querySelector('.text');
+
+    created.app.$('.text').append('Hello <b>World</b>!');
+
+    assert.strictEqual(paragraph.innerHTML, 'Hello <b>World</b>!');
+
+    created.app.$('.text').prepend('Say: ');
+
+    assert.strictEqual(paragraph.textContent, 'Say: Hello World!');
+});
+
+test('wrapper of HTML string inserts its text nodes, but wraps elements only', function () {
+    var created = create();
+    var items = created.app.$('<li>b</li> <li>c</li>');
+
+    assert.strictEqual(items.length, 2);
+
+    items.addClass('new');
+    created.app.$('#list').append(items);
+
+    assert.strictEqual(created.window.document.getElementById('list').innerHTML,
+        '<li>a</li><li class="new">b</li> <li class="new">c</li>');
+});
+
+test('insertion to multiple elements clones the content', function () {
+    var created = create();
+
+    created.app.$('li, .text').append('<i>x</i> y');
+
+    assert.strictEqual(created.window.document.body.textContent, 'ax yx y');
+});
@@ -0,0 +1,134 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('http');
+var helpers = require('./helpers');
+
+/**
+ * Starts local endpoint collecting bodies of POST requests.
+ *
+ * @returns {Promise} Returns promise resolved with `{url, bodies, received, close}`.
+ */
+var endpoint = function () {
+    var bodies = [];
+    var waiting = [];
+    var server = http.createServer(function (request, response) {
+        var body = '';
+
+        request.on('data', function (chunk) {
+            body += chunk;
+        });
+        request.on('end', function () {
+            bodies.push({path: request.url, type: request.headers['content-type'], body: JSON.parse(body)});
+            response.setHeader('Access-Control-Allow-Origin', '*');
+            response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            response.end();
+            waiting.splice(0).forEach(function (resolve) {
+                resolve();
+            });
+        });
+    });
+
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            resolve({
+                url: 'http://127.0.0.1:' + server.address().port + '/',
+                bodies: bodies,
+                received: function () {
+                    return new Promise(function (resolve) {
+                        waiting.push(resolve);
+                    });
+                },
+                close: function () {
+                    server.close();
+                }
+            });
+        });
+    });
+};
+
+test('beacon reporter posts batches of reports to the endpoint', async function () {
+    var server = await endpoint();
+    var app = helpers.create({url: server.url}).app;
+    var received = server.received();
+
+    try {
+        app.onError(app.beaconReporter('/errors', {batchSize: 2}));
+        app.error(new Error('first'));
+        app.error(new Error('first'));
+        app.error(new Error('second'));
+
+        await received;
+
+        assert.strictEqual(server.bodies.length, 1);
+        assert.strictEqual(server.bodies[0].path, '/errors');
+        assert.strictEqual(server.bodies[0].type, 'application/json');
+        assert.deepStrictEqual(server.bodies[0].body.map(function (report) {
+            return report.message;
+        }), ['first', 'second']);
+    } finally {
+        server.close();
+    }
+});
+
+test('beacon reporter uses sendBeacon and flushes pending reports', function () {
+    var created = helpers.create();
+    var sent = [];
+    var reporter;
+
+    created.window.navigator.sendBeacon = function (url, body) {
+        sent.push(url + ' ' + JSON.parse(body).length);
+
+        return true;
+    };
+    reporter = created.app.beaconReporter('/errors');
+    created.app.onError(reporter);
+    created.app.error(new Error('pending'));
+
+    assert.deepStrictEqual(sent, []);
+
+    created.window.dispatchEvent(new created.window.Event('pagehide'));
+    reporter.flush();
+
+    assert.deepStrictEqual(sent, ['/errors 1']);
+});
+
+test('report context includes only opted-in data store paths', function () {
+    var app = helpers.create().app;
+    var reports = [];
+
+    app.onError(function (report) {
+        reports.push(report);
+    });
+    app.set('user', {id: 7, token: 'secret'});
+    app.set('cart.items', 2);
+
+    app.error(new Error('without context'));
+    app.errorContext = ['user.id', 'cart'];
+    app.error(new Error('with context'));
+
+    assert.strictEqual(reports[0].context, undefined);
+    assert.strictEqual(JSON.stringify(reports[1].context), '{"user.id":7,"cart":{"items":2}}');
+});
+
+test('protected methods report their location without changing the error', function () {
+    var app = helpers.create().app;
+    var error = new Error('failed');
+    var reports = [];
+    var object = {
+        save: function () {
+            throw error;
+        }
+    };
+
+    app.onError(function (report) {
+        reports.push(report);
+    });
+    app.protect(object, 'cart');
+    object.save();
+
+    assert.strictEqual(error.message, 'failed');
+    assert.strictEqual(reports[0].message, 'failed');
+    assert.strictEqual(reports[0].object, 'cart');
+    assert.strictEqual(reports[0].method, 'save');
+    assert.strictEqual(reports[0].prefix, 'cart.save() - ');
+});
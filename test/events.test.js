@@ -0,0 +1,81 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var create = function () {
+    var created = helpers.create();
+
+    created.reports = [];
+    created.app.onError(function (report) {
+        created.reports.push(report);
+    });
+
+    return created;
+};
+
+test('emit executes matching listeners with arguments', function () {
+    var app = create().app;
+    var received = [];
+
+    app.on('save.cart', function (event, value) {
+        received.push(event.type + ' cart:' + value);
+    });
+    app.on('save.user', function (event, value) {
+        received.push(event.type + ' user:' + value);
+    });
+
+    assert.strictEqual(app.emit('save', 1), 2);
+    assert.strictEqual(app.emit('save.cart', 2), 1);
+    assert.deepStrictEqual(received, ['save cart:1', 'save user:1', 'save cart:2']);
+});
+
+test('throwing listener does not stop the others and is reported', function () {
+    var created = create();
+    var called = false;
+
+    created.app.on('save', function () {
+        throw new Error('listener failed');
+    });
+    created.app.on('save', function () {
+        called = true;
+    });
+
+    assert.strictEqual(created.app.emit('save'), 2);
+    assert.strictEqual(called, true);
+    assert.strictEqual(created.reports.length, 1);
+    assert.strictEqual(created.reports[0].message, 'listener failed');
+    assert.strictEqual(created.reports[0].type, 'listener');
+});
+
+test('throwing error listener does not escape error', function () {
+    var created = create();
+
+    created.app.on('error', function () {
+        throw new Error('listener failed');
+    });
+
+    assert.doesNotThrow(function () {
+        created.app.error(new Error('failed'));
+    });
+    assert.deepStrictEqual(created.reports.map(function (report) {
+        return report.message;
+    }), ['failed', 'listener failed']);
+});
+
+test('emit without event type executes nothing', function () {
+    var created = create();
+    var called = 0;
+
+    created.app.on('*', function () {
+        called++;
+    });
+    created.app.on('save.cart', function () {
+        called++;
+    });
+
+    assert.strictEqual(created.app.emit(''), 0);
+    assert.strictEqual(created.app.emit('  '), 0);
+    assert.strictEqual(created.app.emit('.cart'), 0);
+    assert.strictEqual(called, 0);
+    assert.deepStrictEqual(created.errors, []);
+});
@@ -0,0 +1,67 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('supports writes results as classes of html element', function () {
+    var created = helpers.create();
+    var classes;
+
+    assert.strictEqual(created.app.supports('addEventListener'), true);
+    assert.strictEqual(created.app.supports('fetch'), false);
+
+    classes = created.window.document.documentElement.className.split(' ');
+    assert.notStrictEqual(classes.indexOf('has-addeventlistener'), -1);
+    assert.notStrictEqual(classes.indexOf('no-fetch'), -1);
+    assert.strictEqual(created.app.supports().promise, true);
+});
+
+test('custom tests are evaluated once, throwing ones are unsupported', function () {
+    var app = helpers.create().app;
+    var runs = 0;
+
+    app.supports('webp', function () {
+        runs++;
+
+        return true;
+    });
+    app.supports('broken', function () {
+        throw new Error('test failed');
+    });
+
+    assert.strictEqual(app.supports('webp'), true);
+    assert.strictEqual(app.supports('WebP'), true);
+    assert.strictEqual(runs, 1);
+    assert.strictEqual(app.supports('broken'), false);
+    assert.strictEqual(app.supports('unknown'), false);
+});
+
+test('polyfill is skipped for supported feature', async function () {
+    var created = helpers.create();
+
+    assert.strictEqual((await created.app.polyfill('promise', 'promise.js')).length, 0);
+    assert.strictEqual(created.window.document.querySelectorAll('script').length, 0);
+});
+
+test('ready handlers wait for polyfills', async function () {
+    var created = helpers.create();
+    var called = false;
+    var script;
+
+    created.app.polyfill('fetch', 'fetch.js');
+    created.app.ready(function () {
+        called = true;
+    });
+
+    await helpers.wait(20);
+
+    assert.strictEqual(called, false);
+
+    script = created.window.document.querySelector('script[src="fetch.js"]');
+    created.window.fetch = function () {};
+    script.onload();
+
+    await helpers.wait(20);
+
+    assert.strictEqual(called, true);
+    assert.strictEqual(created.app.supports('fetch'), true);
+});
@@ -0,0 +1,141 @@
+var fs = require('fs');
+var path = require('path');
+var jsdom = require('jsdom');
+
+var source = fs.readFileSync(path.join(__dirname, '..', 'src', 'app.js'), 'utf8');
+
+/**
+ * Creates jsdom window with App loaded by script tag, i.e. exposed as
+ * global `App`.
+ *
+ * @param {Object} [options] The options.
+ * @param {string} [options.html] The page HTML.
+ * @param {string} [options.url='http://localhost/'] The page URL.
+ * @param {Function} [options.before(window)] A function to execute before App is loaded, e.g. to set up loader stub.
+ * @returns {Window} Returns the window.
+ */
+exports.browser = function (options) {
+    options = options || {};
+
+    // jsdom reports unimplemented navigation of followed links
+    var virtualConsole = new jsdom.VirtualConsole().sendTo(console, {omitJSDOMErrors: true});
+    var dom = new jsdom.JSDOM(options.html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+        runScripts: 'outside-only',
+        url: options.url || 'http://localhost/',
+        virtualConsole: virtualConsole
+    });
+    var window = dom.window;
+
+    if (typeof options.before === 'function') {
+        options.before(window);
+    }
+
+    window.eval(source);
+
+    return window;
+};
+
+/**
+ * Creates jsdom window with the default App instance. Logging to console
+ * is turned off and messages of errors passed to `error` are collected.
+ *
+ * @param {Object} [options] The options of `browser`.
+ * @returns {{window: Window, App: Function, app: App, errors: string[]}} Returns the fixture.
+ */
+exports.create = function (options) {
+    var window = exports.browser(options);
+    var app = new window.App();
+    var fixture = {window: window, App: window.App, app: app, errors: []};
+
+    app.logTransports.length = 0;
+    app.on('error', function (event, error) {
+        fixture.errors.push(error && error.message || String(error));
+    });
+
+    return fixture;
+};
+
+/**
+ * Creates loader stub `name` of the window, the same one as the inline
+ * snippet of the demo page.
+ *
+ * @param {Window} window The window.
+ * @param {string} [name='app'] The global variable of the stub.
+ * @param {string[]} [methods] The queueable methods.
+ */
+exports.stub = function (window, name, methods) {
+    name = name || 'app';
+
+    var stub = window[name] = function () {
+        (stub.queue = stub.queue || []).push(arguments);
+    };
+
+    stub.time = Date.now();
+
+    (methods || ['define', 'require', 'load', 'watch', 'on']).forEach(function (method) {
+        stub[method] = function () {
+            arguments.method = method;
+            (stub.queue = stub.queue || []).push(arguments);
+        };
+    });
+};
+
+/**
+ * Replaces `fetch` of the window by stub recording calls. Call is answered
+ * by `respond(url)` returning `{status, body}`, or waits for its own
+ * `respond(body, status)` without it.
+ *
+ * @param {Window} window The window.
+ * @param {Function} [respond(url)] A function returning response of the call.
+ * @returns {Object[]} Returns the calls with `url`, `init`, `aborted` and `respond`.
+ */
+exports.fetch = function (window, respond) {
+    var calls = [];
+
+    window.fetch = function (url, init) {
+        var call = {url: url, init: init, aborted: false};
+
+        calls.push(call);
+
+        return new Promise(function (resolve, reject) {
+            init.signal.addEventListener('abort', function () {
+                call.aborted = true;
+                reject(new Error('aborted'));
+            });
+
+            call.respond = function (body, status) {
+                resolve({
+                    status: status || 200,
+                    text: function () {
+                        return Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body));
+                    },
+                    headers: {
+                        get: function () {
+                            return 'application/json';
+                        }
+                    }
+                });
+            };
+
+            if (typeof respond === 'function') {
+                var response = respond(url);
+
+                call.respond(response.body, response.status);
+            }
+        });
+    };
+
+    return calls;
+};
+
+/**
+ * Resolves after `ms` milliseconds.
+ *
+ * @param {number} [ms=10] The delay.
+ * @returns {Promise} Returns the promise.
+ */
+exports.wait = function (ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms || 10);
+    });
+};
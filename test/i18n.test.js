@@ -0,0 +1,75 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var catalogs = function (created, messages) {
+    return helpers.fetch(created.window, function (url) {
+        var locale = url.replace(/^.*\/|\.json$/g, '');
+
+        return messages.hasOwnProperty(locale) ? {body: messages[locale]} : {body: {}, status: 404};
+    });
+};
+
+test('translates plural and select messages and falls back to language', function () {
+    var app = helpers.create().app;
+
+    app.set('i18n.cs.cart.items', '{count, plural, one {# položka} few {# položky} other {# položek}}');
+    app.set('i18n.en.greeting', '{gender, select, female {She} other {They}} said hi to {name}');
+    app.i18n({locale: 'cs-CZ', fallback: ['en']});
+
+    assert.strictEqual(app.t('cart.items', {count: 1}), '1 položka');
+    assert.strictEqual(app.t('cart.items', {count: 3}), '3 položky');
+    assert.strictEqual(app.t('cart.items', {count: 5}), '5 položek');
+    assert.strictEqual(app.t('greeting', {gender: 'male', name: 'Jan'}), 'They said hi to Jan');
+    assert.strictEqual(app.t('cart.missing'), 'cart.missing');
+});
+
+test('missing catalogs are loaded once', async function () {
+    var created = helpers.create();
+    var calls = catalogs(created, {cs: {hello: 'Ahoj {name}'}});
+    var app = created.app;
+
+    app.i18n({url: '/i18n/{locale}.json', fallback: []});
+
+    await app.locale('cs');
+
+    assert.strictEqual(app.t('hello', {name: 'Jan'}), 'Ahoj Jan');
+    assert.deepStrictEqual(calls.map(function (call) {
+        return call.url;
+    }), ['/i18n/cs.json']);
+});
+
+test('numbers and dates are formatted without Intl', function () {
+    var app = helpers.create({
+        before: function (window) {
+            window.Intl = undefined;
+        }
+    }).app;
+
+    app.i18n({locale: 'cs'});
+
+    assert.strictEqual(app.formatNumber(1234.5), '1 234,5');
+    assert.strictEqual(app.formatNumber(0.25, {style: 'percent'}), '25 %');
+    assert.strictEqual(app.formatDate(new Date(2020, 0, 2)), '2. 1. 2020');
+
+    app.i18n({locale: 'en'});
+
+    assert.strictEqual(app.formatNumber(1234.5), '1,234.5');
+    assert.strictEqual(app.formatDate(new Date(2020, 0, 2)), '1/2/2020');
+});
+
+test('catalogs are loaded under inline messages', async function () {
+    var created = helpers.create();
+    var calls = catalogs(created, {de: {hello: 'Servus', bye: 'Tschüss'}});
+    var app = created.app;
+
+    app.set('i18n.de.hello', 'Hallo');
+    app.i18n({url: '/i18n/{locale}.json', fallback: []});
+
+    await app.locale('de');
+    await app.locale('de');
+
+    assert.strictEqual(app.t('hello'), 'Hallo');
+    assert.strictEqual(app.t('bye'), 'Tschüss');
+    assert.strictEqual(calls.length, 1);
+});
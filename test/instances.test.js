@@ -0,0 +1,75 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('default instance state lives in prototype, created instances get their own', function () {
+    var window = helpers.browser();
+    var App = window.App;
+    var widget = App.create('widget');
+
+    assert.strictEqual(App.prototype.appready, false);
+    assert.ok(App.prototype.hasOwnProperty('routing'));
+    assert.notStrictEqual(widget.data, App.prototype.data);
+    assert.notStrictEqual(widget.routing, App.prototype.routing);
+    assert.deepStrictEqual(Object.keys(widget.routing), Object.keys(App.prototype.routing));
+
+    widget.set('a', 1);
+
+    assert.strictEqual(new App().get('a'), undefined);
+});
+
+test('calls of the loader stub are replayed by instance not replacing it', function () {
+    var window = helpers.browser({
+        before: function (window) {
+            helpers.stub(window, 'widget');
+            window.widget('before', 1);
+        }
+    });
+    var widget = window.App.create('widget');
+    var required;
+
+    window.widget('after', 2);
+    window.widget.define('module', 3);
+    window.widget.require('module', function (value) {
+        required = value;
+    });
+
+    assert.notStrictEqual(window.widget, widget);
+    assert.strictEqual(widget.get('before'), 1);
+    assert.strictEqual(widget.get('after'), 2);
+    assert.strictEqual(required, 3);
+});
+
+test('global instance replaces the loader stub', function () {
+    var window = helpers.browser({
+        before: function (window) {
+            helpers.stub(window, 'widget');
+            window.widget('before', 1);
+        }
+    });
+    var widget = window.App.create('widget', {global: true});
+
+    assert.strictEqual(window.widget, widget);
+    assert.strictEqual(widget.get('before'), 1);
+});
+
+test('default instance boots once however many times App is constructed', function () {
+    var window = helpers.browser({
+        before: function (window) {
+            helpers.stub(window);
+            window.app.on('app:ready', function () {
+                window.booted = (window.booted || 0) + 1;
+            });
+        }
+    });
+    var first = new window.App();
+    var onerror = window.onerror;
+    var second = new window.App();
+
+    first.set('count', 1);
+
+    assert.strictEqual(window.booted, 1);
+    assert.strictEqual(window.onerror, onerror);
+    assert.strictEqual(second.get('count'), 1);
+    assert.strictEqual(second.appready, true);
+});
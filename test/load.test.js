@@ -0,0 +1,126 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var element = function (window, url) {
+    return window.document.querySelector('script[src="' + url + '"], link[href="' + url + '"]');
+};
+
+/**
+ * Adds `async` property of scripts, which jsdom does not implement.
+ *
+ * @param {Window} window The window.
+ */
+var asyncScripts = function (window) {
+    Object.defineProperty(window.HTMLScriptElement.prototype, 'async', {
+        get: function () {
+            return this.hasAttribute('async');
+        },
+        set: function (value) {
+            this.toggleAttribute('async', !!value);
+        }
+    });
+};
+
+test('scripts are downloaded in parallel and resolve with records in order of URLs', async function () {
+    var created = helpers.create({before: asyncScripts});
+    var completed;
+    var promise = created.app.load(['a.js', 'style.css', 'b.js'], function (error, assets) {
+        completed = error;
+        assert.strictEqual(assets.length, 3);
+    });
+    var scripts = created.window.document.head.querySelectorAll('script');
+
+    assert.strictEqual(scripts.length, 2);
+    assert.strictEqual(scripts[0].getAttribute('src'), 'a.js');
+    assert.strictEqual(scripts[1].getAttribute('src'), 'b.js');
+    assert.strictEqual(scripts[0].async, false);
+    assert.strictEqual(element(created.window, 'style.css').rel, 'stylesheet');
+
+    element(created.window, 'b.js').onload();
+    element(created.window, 'style.css').onload();
+    element(created.window, 'a.js').onload();
+
+    var assets = await promise;
+
+    assert.strictEqual(completed, null);
+    assert.strictEqual(assets.map(function (asset) {
+        return asset.url + ':' + asset.type + ':' + asset.status;
+    }).join(), 'a.js:js:loaded,style.css:css:loaded,b.js:js:loaded');
+});
+
+test('scripts are loaded one by one without async support', async function () {
+    var created = helpers.create();
+    var promise = created.app.load(['a.js', 'b.js']);
+
+    assert.strictEqual(element(created.window, 'b.js'), null);
+
+    element(created.window, 'a.js').onload();
+
+    assert.notStrictEqual(element(created.window, 'b.js'), null);
+
+    element(created.window, 'b.js').onload();
+
+    assert.strictEqual((await promise).length, 2);
+});
+
+test('unordered scripts are async', function () {
+    var created = helpers.create({before: asyncScripts});
+
+    created.app.load(['a.js', 'b.js'], {ordered: false});
+
+    assert.strictEqual(element(created.window, 'a.js').async, true);
+    assert.strictEqual(element(created.window, 'b.js').async, true);
+
+    element(created.window, 'a.js').onload();
+    element(created.window, 'b.js').onload();
+});
+
+test('URL is requested once and loaded one is resolved immediately', async function () {
+    var created = helpers.create();
+    var first = created.app.load('a.js');
+    var second = created.app.load('a.js');
+
+    assert.strictEqual(created.window.document.querySelectorAll('script[src="a.js"]').length, 1);
+
+    element(created.window, 'a.js').onload();
+
+    assert.strictEqual((await first)[0], (await second)[0]);
+    assert.strictEqual((await created.app.load('a.js'))[0].status, 'loaded');
+    assert.strictEqual(created.window.document.querySelectorAll('script[src="a.js"]').length, 1);
+});
+
+test('failed and timed out assets reject, are reported and can be requested again', async function () {
+    var created = helpers.create({before: asyncScripts});
+    var promise = created.app.load(['broken.js', 'slow.js', 'ok.js'], {ordered: false, timeout: 20});
+
+    element(created.window, 'broken.js').onerror();
+    element(created.window, 'ok.js').onload();
+
+    await assert.rejects(promise, function (error) {
+        return error.message === 'App: Failed to load broken.js (error), slow.js (timeout)' &&
+            error.assets.length === 3;
+    });
+    assert.deepStrictEqual(created.errors, ['App: Failed to load broken.js (error), slow.js (timeout)']);
+
+    created.app.load('broken.js', {timeout: 0});
+
+    assert.strictEqual(created.window.document.querySelectorAll('script[src="broken.js"]').length, 2);
+});
+
+test('load calls of the loader stub are replayed', async function () {
+    var loaded;
+    var window = helpers.browser({
+        before: function (window) {
+            helpers.stub(window);
+            window.app.load('queued.js', function (error, assets) {
+                loaded = assets[0].status;
+            });
+        }
+    });
+
+    new window.App();
+    element(window, 'queued.js').onload();
+
+    assert.strictEqual(loaded, 'loaded');
+});
@@ -0,0 +1,41 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('entries below the level of logger or App are dropped', function () {
+    var app = helpers.create().app;
+    var memory = app.memoryTransport(2);
+    var cart = app.logger('cart');
+
+    app.addLogTransport(memory);
+    app.logLevel = 'info';
+    cart.level = 'warn';
+
+    app.log('debug', 'dropped');
+    app.log('info', 'kept', 1);
+    cart.info('dropped');
+    cart.error('failed');
+    app.log('warn', 'last');
+
+    assert.strictEqual(memory.entries.map(function (entry) {
+        return entry.level + ' ' + entry.namespace + ' ' + entry.args.join(',');
+    }).join('|'), 'error cart failed|warn  last');
+});
+
+test('throwing transport does not stop the others nor the caller', function () {
+    var app = helpers.create().app;
+    var memory = app.memoryTransport();
+
+    app.logLevel = 'debug';
+    app.addLogTransport(function () {
+        throw new Error('transport failed');
+    });
+    app.addLogTransport(memory);
+
+    assert.doesNotThrow(function () {
+        app.log('info', 'saved');
+        app.logger('cart').warn('empty');
+    });
+    assert.strictEqual(memory.entries.length, 2);
+    assert.strictEqual(memory.entries[1].namespace, 'cart');
+});
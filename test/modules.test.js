@@ -0,0 +1,72 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('require runs handler once dependencies are defined', function () {
+    var app = helpers.create().app;
+    var result;
+
+    app.require(['a', 'b'], function (a, b) {
+        result = a + b;
+    });
+
+    app.define('a', ['b'], function (b) {
+        return 'a' + b;
+    });
+
+    assert.strictEqual(result, undefined);
+
+    app.define('b', 'b');
+
+    assert.strictEqual(result, 'abb');
+});
+
+test('circular dependencies are reported', function () {
+    var created = helpers.create();
+
+    created.app.define('x', ['y'], function () {});
+    created.app.define('y', ['x'], function () {});
+    created.app.require('x');
+
+    assert.deepStrictEqual(created.errors, ['App: Circular module dependency x -> y -> x']);
+});
+
+test('throwing handler does not drop pending requires', function () {
+    var created = helpers.create();
+    var app = created.app;
+    var called = false;
+
+    app.require(['x'], function () {
+        throw new Error('handler failed');
+    });
+    app.require(['y'], function () {
+        called = true;
+    });
+
+    app.define('x', 1);
+
+    assert.deepStrictEqual(created.errors, ['handler failed']);
+    assert.strictEqual(app.requires.length, 1);
+
+    app.define('y', 2);
+
+    assert.strictEqual(called, true);
+});
+
+test('throwing factory is reported to every requirer, not as circular', function () {
+    var created = helpers.create();
+    var app = created.app;
+    var runs = 0;
+
+    app.define('bad', function () {
+        runs++;
+        throw new Error('factory failed');
+    });
+
+    app.require('bad', function () {});
+    app.require('bad', function () {});
+
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual(created.errors, ['factory failed', 'factory failed']);
+    assert.strictEqual(app.modules.bad.state, 'error');
+});
@@ -0,0 +1,94 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('timeline origin falls back to loader stub without navigation timing', function () {
+    var created = helpers.create({
+        before: function (window) {
+            var now = Date.now();
+
+            helpers.stub(window);
+            window.app.time = now - 50;
+            Object.defineProperty(window, 'performance', {
+                configurable: true,
+                value: {
+                    now: function () {
+                        return Date.now() - now;
+                    }
+                }
+            });
+        }
+    });
+    var perf = created.app.perf;
+
+    assert.strictEqual(perf.origin, created.window.app.time);
+    assert.strictEqual(perf.marks[0].name, 'app:stub');
+    assert.strictEqual(perf.marks[0].time, 0);
+    assert.deepStrictEqual(created.errors, []);
+});
+
+test('boot, DOM ready and window load are marked', async function () {
+    var app = helpers.create().app;
+
+    await app.ready();
+    await app.whenLoaded();
+
+    var names = app.perf.marks.map(function (mark) {
+        return mark.name;
+    });
+
+    // the page of jsdom is loaded before DOM ready handlers run
+    assert.strictEqual(names.slice(0, 3).join(), 'app:stub,app:loaded,app:ready');
+    assert.strictEqual(names.slice(3).sort().join(), 'dom:ready,window:load');
+    assert.ok(app.perf.time('app:ready') >= app.perf.time('app:loaded'));
+    assert.ok(app.perf.time('dom:ready') >= app.perf.time('app:ready'));
+});
+
+test('modules and ready handlers are measured and reported from the slowest', async function () {
+    var app = helpers.create().app;
+    var busy = function (ms) {
+        var end = Date.now() + ms;
+
+        while (Date.now() < end) {
+            // wait
+        }
+    };
+
+    app.define('slow', function () {
+        busy(15);
+    });
+    app.require('slow', function () {});
+    app.ready(function fast() {});
+
+    await app.ready();
+
+    var report = JSON.parse(JSON.stringify(app.perf.report()));
+
+    var names = report.slowest.map(function (measure) {
+        return measure.name;
+    });
+
+    assert.strictEqual(names[0], 'module:slow');
+    assert.notStrictEqual(names.indexOf('ready:fast'), -1);
+    assert.ok(report.slowest[0].duration >= 10);
+    assert.strictEqual(report.origin, app.perf.origin);
+});
+
+test('measures between marks are passed to User Timing', function () {
+    var timing = [];
+    var perf = helpers.create({
+        before: function (window) {
+            window.performance.measure = function (name, options) {
+                timing.push(name + ' ' + (options.end - options.start));
+            };
+        }
+    }).app.perf;
+
+    perf.mark('fetch:start', 10);
+    perf.mark('fetch:end', 25);
+
+    assert.strictEqual(perf.measure('fetch', 'fetch:start', 'fetch:end').duration, 15);
+    assert.strictEqual(perf.measure('since', 5, 'fetch:start').duration, 5);
+    assert.strictEqual(perf.time('fetch:end'), 25);
+    assert.deepStrictEqual(timing, ['fetch 15', 'since 5']);
+});
@@ -0,0 +1,119 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var stored = function (window, key) {
+    return JSON.parse(window.localStorage.getItem(key));
+};
+
+test('stored value is hydrated over defaults and written back on change', function () {
+    var created = helpers.create({
+        before: function (window) {
+            window.localStorage.setItem('app:prefs', JSON.stringify({value: {theme: 'dark', tags: ['a']}, expires: 0}));
+        }
+    });
+    var app = created.app;
+
+    app.set('prefs', {theme: 'light', lang: 'cs', tags: ['b', 'c']});
+
+    assert.strictEqual(app.persist('prefs'), true);
+    assert.strictEqual(app.get('prefs.theme'), 'dark');
+    assert.strictEqual(app.get('prefs.lang'), 'cs');
+    assert.strictEqual(app.get('prefs.tags').join(), 'a');
+
+    app.set('prefs.theme', 'blue');
+
+    assert.strictEqual(stored(created.window, 'app:prefs').value.theme, 'blue');
+
+    app.unset('prefs');
+
+    assert.strictEqual(created.window.localStorage.getItem('app:prefs'), null);
+});
+
+test('expired values are discarded and ttl is written', function () {
+    var created = helpers.create({
+        before: function (window) {
+            window.sessionStorage.setItem('cart', JSON.stringify({value: 3, expires: Date.now() - 1}));
+        }
+    });
+    var app = created.app;
+
+    app.persist('cart.count', {storage: 'session', key: 'cart', ttl: 60000});
+
+    assert.strictEqual(app.get('cart.count'), undefined);
+    assert.strictEqual(created.window.sessionStorage.getItem('cart'), null);
+
+    app.set('cart.count', 1);
+
+    var value = JSON.parse(created.window.sessionStorage.getItem('cart'));
+
+    assert.strictEqual(value.value, 1);
+    assert.ok(value.expires > Date.now() && value.expires <= Date.now() + 60000);
+});
+
+test('values of other versions are migrated or discarded', function () {
+    var before = function (window) {
+        window.localStorage.setItem('app:user', JSON.stringify({value: {name: 'Jan'}, version: 1, expires: 0}));
+    };
+    var migrated = helpers.create({before: before}).app;
+    var discarded = helpers.create({before: before}).app;
+
+    migrated.persist('user', {
+        version: 2,
+        migrate: function (value, from, to) {
+            return {full: value.name + ' ' + from + '>' + to};
+        }
+    });
+    discarded.persist('user', {version: 2});
+
+    assert.strictEqual(migrated.get('user.full'), 'Jan 1>2');
+    assert.strictEqual(discarded.get('user'), undefined);
+});
+
+test('data store keeps working without storage', function () {
+    var app = helpers.create().app;
+    var full = {
+        setItem: function () {
+            throw new Error('QuotaExceededError');
+        },
+        removeItem: function () {}
+    };
+
+    assert.strictEqual(app.persist('prefs', {storage: full}), false);
+
+    app.set('prefs.theme', 'dark');
+
+    assert.strictEqual(app.get('prefs.theme'), 'dark');
+});
+
+test('outdated value is removed when storage is full', function () {
+    var created = helpers.create();
+    var items = {};
+    var full = false;
+    var storage = {
+        getItem: function (key) {
+            return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem: function (key, value) {
+            if (full && key !== '__app__') {
+                throw new Error('QuotaExceededError');
+            }
+
+            items[key] = value;
+        },
+        removeItem: function (key) {
+            delete items[key];
+        }
+    };
+
+    created.app.persist('draft', {storage: storage});
+    created.app.set('draft', 'short');
+
+    assert.strictEqual(JSON.parse(items['app:draft']).value, 'short');
+
+    full = true;
+    created.app.set('draft', 'long');
+
+    assert.strictEqual(items.hasOwnProperty('app:draft'), false);
+    assert.strictEqual(created.app.get('draft'), 'long');
+});
@@ -0,0 +1,160 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('plugin members extend App prototype', function () {
+    var created = helpers.create();
+
+    var installed = created.App.plugin('greet', {
+        install: function () {
+            return {greet: function () {
+                return 'hello';
+            }};
+        }
+    });
+
+    assert.strictEqual(installed, true);
+    assert.strictEqual(created.app.greet(), 'hello');
+    assert.strictEqual(created.App.create('other').greet(), 'hello');
+});
+
+test('conflicting plugin is not installed', function () {
+    var created = helpers.create();
+
+    created.App.plugin('first', {
+        install: function () {
+            return {widget: function () {}};
+        }
+    });
+
+    assert.strictEqual(created.App.plugin('second', {
+        install: function () {
+            return {widget: function () {}};
+        }
+    }), false);
+    assert.strictEqual(created.App.plugin('core', {
+        install: function () {
+            return {get: function () {}};
+        }
+    }), false);
+    assert.strictEqual(created.App.plugin('first', {}), false);
+    assert.deepStrictEqual(created.errors, [
+        'App: Plugin "second" member "widget" conflicts with plugin "first"',
+        'App: Plugin "core" member "get" conflicts with App core',
+        'App: Plugin "first" is already registered'
+    ]);
+});
+
+test('plugin waits for its dependencies', function () {
+    var created = helpers.create();
+    var installed = [];
+
+    created.App.plugin('child', {
+        requires: {parent: '1.2'},
+        install: function () {
+            installed.push('child');
+
+            return {};
+        }
+    });
+
+    assert.deepStrictEqual(installed, []);
+
+    created.App.plugin('parent', {
+        version: '1.3.0',
+        install: function () {
+            installed.push('parent');
+
+            return {};
+        }
+    });
+
+    assert.deepStrictEqual(installed, ['parent', 'child']);
+});
+
+test('plugin requiring newer version is reported', function () {
+    var created = helpers.create();
+
+    created.App.plugin('parent', {version: '1.1.9'});
+    created.App.plugin('child', {requires: {parent: '1.2'}});
+
+    assert.deepStrictEqual(created.errors, ['App: Plugin "child" requires "parent" 1.2 or newer, 1.1.9 registered']);
+});
+
+test('protected plugin methods report errors instead of throwing', function () {
+    var created = helpers.create();
+
+    created.App.plugin('fragile', {
+        protect: true,
+        install: function () {
+            return {fail: function () {
+                throw new Error('failed');
+            }};
+        }
+    });
+
+    assert.doesNotThrow(function () {
+        created.app.fail();
+    });
+    assert.strictEqual(created.errors.length, 1);
+});
+
+test('setup runs after members are installed', function () {
+    var created = helpers.create();
+    var order = [];
+
+    created.App.plugin('greet', {
+        install: function () {
+            order.push('install');
+
+            return {greet: function () {}};
+        },
+        setup: function (App) {
+            order.push('setup');
+            assert.strictEqual(typeof App.prototype.greet, 'function');
+        }
+    });
+
+    assert.deepStrictEqual(order, ['install', 'setup']);
+});
+
+test('conflicting plugin is not set up', function () {
+    var created = helpers.create();
+    var setup = false;
+
+    created.App.plugin('first', {
+        install: function () {
+            return {widget: function () {}};
+        }
+    });
+    created.App.plugin('second', {
+        install: function () {
+            return {widget: function () {}};
+        },
+        setup: function () {
+            setup = true;
+        }
+    });
+
+    assert.strictEqual(setup, false);
+});
+
+test('dependent plugin is set up after its dependencies', function () {
+    var created = helpers.create();
+    var setup = [];
+
+    created.App.plugin('child', {
+        requires: {parent: '1.2'},
+        setup: function () {
+            setup.push('child');
+        }
+    });
+    created.App.plugin('parent', {
+        version: '1.3.0',
+        setup: function () {
+            setup.push('parent');
+        }
+    });
+
+    assert.deepStrictEqual(setup, ['parent', 'child']);
+});
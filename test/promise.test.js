@@ -0,0 +1,64 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('ready and whenLoaded resolve with the instance', async function () {
+    var created = helpers.create();
+    var args;
+
+    created.app.ready(function () {
+        args = Array.prototype.slice.call(arguments);
+    }, 1, 'two');
+
+    assert.strictEqual(await created.app.ready(), created.app);
+    assert.deepStrictEqual(args, [1, 'two']);
+    assert.strictEqual(await created.app.whenLoaded(), created.app);
+});
+
+test('when resolves once the path is set', async function () {
+    var app = helpers.create().app;
+    var waiting = app.when('user.id');
+
+    app.set('user.name', 'Jan');
+    app.set('user.id', 7);
+    app.set('user.id', 8);
+
+    assert.strictEqual(await waiting, 7);
+    assert.strictEqual(await app.when('user.name'), 'Jan');
+});
+
+test('built-in promise is used without native one', async function () {
+    var window = helpers.browser({
+        before: function (window) {
+            window.Promise = undefined;
+        }
+    });
+    var Promise = window.App.prototype.Promise;
+    var order = [];
+    var resolved = Promise.resolve(1);
+
+    assert.notStrictEqual(Promise, global.Promise);
+
+    resolved.then(function (value) {
+        order.push('then ' + value);
+    });
+    order.push('sync');
+
+    var result = await new Promise(function (resolve) {
+        Promise.all([resolved, 2, Promise.resolve(3)]).then(function (values) {
+            resolve(values.join());
+        });
+    });
+    var reason = await new Promise(function (resolve) {
+        Promise.reject(new Error('failed')).then(function () {
+            throw new Error('skipped');
+        })['catch'](function (error) {
+            resolve(error.message);
+        });
+    });
+
+    assert.deepStrictEqual(order, ['sync', 'then 1']);
+    assert.strictEqual(result, '1,2,3');
+    assert.strictEqual(reason, 'failed');
+    assert.strictEqual(typeof (await new window.App().ready()).get, 'function');
+});
@@ -0,0 +1,72 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var create = function () {
+    var created = helpers.create();
+
+    created.calls = helpers.fetch(created.window);
+
+    return created;
+};
+
+test('identical requests in progress are sent once', async function () {
+    var created = create();
+    var first = created.app.request('/api');
+    var second = created.app.request('/api');
+
+    assert.strictEqual(created.calls.length, 1);
+
+    created.calls[0].respond('{"a":1}');
+
+    assert.strictEqual((await first).data.a, 1);
+    assert.strictEqual((await second).data.a, 1);
+});
+
+test('requests with different response types are not shared', async function () {
+    var created = create();
+    var json = created.app.request('/api', {responseType: 'json'});
+    var text = created.app.request('/api', {responseType: 'text'});
+
+    assert.strictEqual(created.calls.length, 2);
+
+    created.calls[0].respond('{"a":1}');
+    created.calls[1].respond('{"a":1}');
+
+    assert.strictEqual((await json).data.a, 1);
+    assert.strictEqual((await text).data, '{"a":1}');
+});
+
+test('aborting shared request detaches only the caller', async function () {
+    var created = create();
+    var first = created.app.request('/api');
+    var second = created.app.request('/api');
+
+    first.abort();
+
+    await assert.rejects(first, function (error) {
+        return error.aborted === true;
+    });
+    assert.strictEqual(created.calls[0].aborted, false);
+
+    created.calls[0].respond('{"a":1}');
+
+    assert.strictEqual((await second).data.a, 1);
+});
+
+test('request is aborted once every caller aborted', async function () {
+    var created = create();
+    var first = created.app.request('/api');
+    var second = created.app.request('/api');
+
+    first.abort();
+    second.abort();
+
+    assert.strictEqual(created.calls[0].aborted, true);
+
+    await assert.rejects(second);
+
+    created.app.request('/api');
+
+    assert.strictEqual(created.calls.length, 2);
+});
@@ -0,0 +1,113 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var history = function (url, root, links) {
+    var created = helpers.create({
+        url: url,
+        html: '<!DOCTYPE html><html><head></head><body>' + (links || '') + '</body></html>'
+    });
+
+    created.visited = [];
+    created.app.router({mode: 'history', root: root});
+    created.app.route('*', function (params, route) {
+        created.visited.push(route.url);
+    });
+
+    return created;
+};
+
+var click = function (window, id) {
+    var event = new window.MouseEvent('click', {bubbles: true, cancelable: true, button: 0});
+
+    window.document.getElementById(id).dispatchEvent(event);
+
+    return event.defaultPrevented;
+};
+
+test('history mode dispatches location under root', async function () {
+    var created = history('http://localhost/app/user/1?tab=info', '/app');
+
+    await created.app.ready();
+
+    assert.deepStrictEqual(created.visited, ['/user/1?tab=info']);
+});
+
+test('links under root are intercepted', async function () {
+    var created = history('http://localhost/app/', '/app', '<a id="in" href="/app/page?q=1">in</a>');
+
+    await created.app.ready();
+
+    assert.strictEqual(click(created.window, 'in'), true);
+    assert.strictEqual(created.window.location.pathname, '/app/page');
+    assert.strictEqual(created.visited.pop(), '/page?q=1');
+});
+
+test('routes dispatch params and query, unmatched URL goes to notFound', async function () {
+    var created = helpers.create({url: 'http://localhost/'});
+    var app = created.app;
+    var dispatched = [];
+
+    app.router({
+        notFound: function (params, route) {
+            dispatched.push('404 ' + route.path);
+        }
+    });
+    app.route('/user/:id', function (params, route) {
+        dispatched.push('user ' + params.id + ' ' + route.query.tab);
+    });
+
+    await app.ready();
+
+    app.navigate('/user/7?tab=info');
+    app.navigate('/missing');
+
+    assert.deepStrictEqual(dispatched, ['404 /', 'user 7 info', '404 /missing']);
+    assert.strictEqual(created.window.location.hash, '#/missing');
+    assert.strictEqual(app.get('route.params.id'), undefined);
+    assert.strictEqual(app.get('route.path'), '/missing');
+});
+
+test('before guard cancels or redirects navigation', async function () {
+    var app = helpers.create({url: 'http://localhost/'}).app;
+    var dispatched = [];
+
+    app.router({
+        before: function (route) {
+            if (route.path === '/admin') {
+                return '/login';
+            }
+
+            return route.path !== '/locked';
+        }
+    });
+    app.route('*', function (params, route) {
+        dispatched.push(route.path);
+    });
+
+    await app.ready();
+
+    assert.strictEqual(app.navigate('/locked'), false);
+    assert.strictEqual(app.navigate('/admin'), false);
+    assert.deepStrictEqual(dispatched, ['/', '/login']);
+});
+
+test('links sharing root prefix are not intercepted', async function () {
+    var created = history('http://localhost/app/', '/app', '<a id="out" href="/application/x">out</a>');
+
+    await created.app.ready();
+
+    assert.strictEqual(click(created.window, 'out'), false);
+    assert.deepStrictEqual(created.visited, ['/']);
+});
+
+test('links to other hosts are not intercepted', async function () {
+    var created = history('http://localhost/', '', '<a id="evil" href="http://localhost.evil.org/steal">evil</a>' +
+        '<a id="port" href="http://localhost:8080/x">port</a>');
+
+    await created.app.ready();
+
+    assert.strictEqual(click(created.window, 'evil'), false);
+    assert.strictEqual(click(created.window, 'port'), false);
+    assert.deepStrictEqual(created.visited, ['/']);
+});
@@ -0,0 +1,148 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('immediate task runs synchronously', function () {
+    var app = helpers.create().app;
+    var task = app.schedule(function () {}, 'immediate');
+
+    assert.strictEqual(task.status, 'done');
+    assert.strictEqual(typeof task.duration, 'number');
+});
+
+test('ready tasks run before idle ones, cancelled ones never', async function () {
+    var app = helpers.create().app;
+    var order = [];
+
+    app.schedule(function () {
+        order.push('idle');
+    }, 'idle');
+    app.schedule(function () {
+        order.push('ready');
+    });
+    app.schedule(function () {
+        order.push('cancelled');
+    }).cancel();
+
+    assert.deepStrictEqual(order, []);
+
+    await helpers.wait(100);
+
+    assert.deepStrictEqual(order, ['ready', 'idle']);
+});
+
+test('failing task is reported and does not stop the others', async function () {
+    var created = helpers.create();
+    var task;
+    var called = false;
+
+    task = created.app.schedule(function () {
+        throw new Error('task failed');
+    });
+    created.app.schedule(function () {
+        called = true;
+    });
+
+    await helpers.wait(20);
+
+    assert.strictEqual(task.status, 'error');
+    assert.strictEqual(called, true);
+    assert.deepStrictEqual(created.errors, ['task failed']);
+});
+
+test('visible task waits until the element intersects', async function () {
+    var observers = [];
+    var app = helpers.create({
+        before: function (window) {
+            window.IntersectionObserver = function (callback) {
+                this.callback = callback;
+                this.observe = function () {};
+                this.disconnect = function () {};
+                observers.push(this);
+            };
+        }
+    }).app;
+    var called = false;
+
+    app.schedule(function () {
+        called = true;
+    }, {priority: 'visible', element: app.$('body').get(0)});
+
+    await helpers.wait(20);
+
+    assert.strictEqual(called, false);
+
+    observers[0].callback([{isIntersecting: true}]);
+
+    await helpers.wait(20);
+
+    assert.strictEqual(called, true);
+});
+
+test('load task runs after window load and tasks are sliced by budget', async function () {
+    var created = helpers.create();
+    var app = created.app;
+    var ticks = 0;
+    var slices = [];
+    var loaded = false;
+
+    app.schedule(function () {
+        loaded = true;
+    }, 'load');
+    app.scheduler.budget = 5;
+
+    for (var i = 0; i < 3; i++) {
+        app.schedule(function () {
+            var start = Date.now();
+
+            // counts macrotasks between the tasks
+            slices.push(ticks);
+            created.window.setTimeout(function () {
+                ticks++;
+            }, 0);
+
+            // longer than the budget
+            while (Date.now() - start < 6) {}
+        });
+    }
+
+    await helpers.wait(100);
+
+    assert.strictEqual(loaded, true);
+    assert.deepStrictEqual(slices, [0, 1, 2]);
+});
+
+test('ready handler failing after polyfills is reported, not rejected', async function () {
+    var created = helpers.create();
+    var reports = [];
+    var rejections = [];
+    var onRejection = function (reason) {
+        rejections.push(reason);
+    };
+
+    process.on('unhandledRejection', onRejection);
+
+    try {
+        created.app.onError(function (report) {
+            reports.push(report);
+        });
+        created.app.polyfill('fetch', 'fetch.js');
+        created.app.ready(function setup() {
+            throw new Error('ready failed');
+        });
+
+        await helpers.wait(20);
+
+        created.window.document.querySelector('script[src="fetch.js"]').onload();
+
+        await helpers.wait(20);
+    } finally {
+        process.removeListener('unhandledRejection', onRejection);
+    }
+
+    assert.strictEqual(rejections.length, 0);
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].message, 'ready failed');
+    assert.strictEqual(reports[0].type, 'ready');
+    assert.strictEqual(reports[0].handler, 'setup');
+});
@@ -0,0 +1,57 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('values are coerced to schema types', function () {
+    var app = helpers.create().app;
+
+    app.schema('count', 'integer');
+    app.schema('flag', {type: 'boolean'});
+    app.schema('day', 'date');
+
+    app.set('count', '3');
+    app.set('flag', 'off');
+    app.set('day', '2020-01-02T00:00:00Z');
+
+    assert.strictEqual(app.get('count'), 3);
+    assert.strictEqual(app.get('flag'), false);
+    assert.strictEqual(app.get('day').getTime(), Date.UTC(2020, 0, 2));
+});
+
+test('defaults are applied on registration and to missing properties', function () {
+    var app = helpers.create().app;
+
+    app.schema('theme', {type: 'string', 'default': 'light'});
+    app.schema('user', {properties: {
+        id: {type: 'integer', required: true},
+        role: {'enum': ['admin', 'editor'], 'default': 'editor'},
+        tags: ['string']
+    }});
+
+    app.set('user', app.parseJson('{"id": "5", "tags": [1, "a"]}'));
+
+    assert.strictEqual(app.get('theme'), 'light');
+    assert.strictEqual(app.get('user.id'), 5);
+    assert.strictEqual(app.get('user.role'), 'editor');
+    assert.strictEqual(app.get('user.tags').join(), '1,a');
+});
+
+test('violations are reported', function () {
+    var created = helpers.create();
+    var app = created.app;
+
+    app.schema('user', {properties: {
+        id: {type: 'integer', required: true},
+        role: {'enum': ['admin', 'editor']}
+    }});
+
+    app.set('user.id', 'x');
+    app.set('user.role', 'guest');
+    app.set('user', app.parseJson('{}'));
+
+    assert.deepStrictEqual(created.errors, [
+        'App: Value of "user.id" should be integer, got "x"',
+        'App: Value of "user.role" should be one of "admin", "editor", got "guest"',
+        'App: Value of "user.id" is required'
+    ]);
+});
@@ -0,0 +1,149 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('get and set dotted paths', function () {
+    var app = helpers.create().app;
+
+    app.set('a.b.c', 1);
+
+    assert.strictEqual(app.get('a.b.c'), 1);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(app.get('a'))), {b: {c: 1}});
+    assert.strictEqual(app.get('a.x.y', 'default'), 'default');
+});
+
+test('set overwrites primitives on the path', function () {
+    var app = helpers.create().app;
+
+    app.set('a', 'string');
+    app.set('a.b', 2);
+
+    assert.strictEqual(app.get('a.b'), 2);
+
+    app.set('a.b', {c: 3});
+    app.set('a.b', 4);
+
+    assert.strictEqual(app.get('a.b'), 4);
+});
+
+test('bracket indexes create arrays', function () {
+    var app = helpers.create().app;
+
+    app.set('list[0].name', 'first');
+    app.set('list[1].name', 'second');
+
+    assert.ok(app.isArray(app.get('list')));
+    assert.strictEqual(app.get('list').length, 2);
+    assert.strictEqual(app.get('list[1].name'), 'second');
+    assert.strictEqual(app.get('list.0.name'), 'first');
+    assert.strictEqual(app.get(['list', 1, 'name']), 'second');
+});
+
+test('unset removes properties and splices arrays', function () {
+    var app = helpers.create().app;
+
+    app.set('a.b', 1);
+    app.set('a.c', 2);
+    app.set('list', ['x', 'y', 'z']);
+
+    assert.strictEqual(app.unset('a.b'), true);
+    assert.strictEqual(app.has('a.b'), false);
+    assert.strictEqual(app.has('a.c'), true);
+    assert.strictEqual(app.unset('a.missing'), false);
+
+    app.unset('list[1]');
+
+    assert.deepStrictEqual(app.get('list').slice(), ['x', 'z']);
+});
+
+test('has distinguishes undefined values from missing ones', function () {
+    var app = helpers.create().app;
+
+    app.set('a.b', undefined);
+
+    assert.strictEqual(app.has('a.b'), true);
+    assert.strictEqual(app.has('a.c'), false);
+    assert.strictEqual(app.has('a.b.c'), false);
+    assert.strictEqual(app.has(''), false);
+});
+
+test('keys are case-insensitive by default', function () {
+    var app = helpers.create().app;
+
+    app.set('User.Name', 'Jan');
+
+    assert.strictEqual(app.get('user.name'), 'Jan');
+    assert.strictEqual(app.get('USER.NAME'), 'Jan');
+});
+
+test('APP_CASE_SENSITIVE keeps case of keys', function () {
+    var app = helpers.create({
+        before: function (window) {
+            window.APP_CASE_SENSITIVE = true;
+        }
+    }).app;
+
+    app.set('User.Name', 'Jan');
+
+    assert.strictEqual(app.get('User.Name'), 'Jan');
+    assert.strictEqual(app.get('user.name'), undefined);
+});
+
+test('App.create respects caseSensitive option', function () {
+    var window = helpers.create().window;
+    var widget = window.App.create('widget', {caseSensitive: true});
+
+    widget.set('Key', 1);
+
+    assert.strictEqual(widget.get('Key'), 1);
+    assert.strictEqual(widget.has('key'), false);
+});
+
+test('getOrSet works on plain objects', function () {
+    var window = helpers.create().window;
+    var object = {};
+
+    window.App.getOrSet(object, 'a[0].b', 1, true);
+
+    assert.ok(Array.isArray(object.a));
+    assert.strictEqual(window.App.getOrSet(object, 'a[0].b'), 1);
+    assert.strictEqual(window.App.getOrSet(object, 'a[1].b', 'default'), 'default');
+});
+
+test('prototype keys are rejected', function () {
+    var created = helpers.create();
+    var app = created.app;
+
+    app.set('__proto__.polluted', 'yes');
+    app.set('constructor.prototype.polluted', 'yes');
+    app.set('a.__proto__.polluted', 'yes');
+
+    assert.strictEqual(({}).polluted, undefined);
+    assert.strictEqual(created.window.eval('({}).polluted'), undefined);
+    assert.strictEqual(app.get('__proto__'), undefined);
+    assert.strictEqual(app.has('constructor'), false);
+});
+
+test('throwing watcher does not stop the others nor the change', function () {
+    var app = helpers.create().app;
+    var reports = [];
+    var changed = [];
+
+    app.onError(function (report) {
+        reports.push(report);
+    });
+    app.watch('a', function () {
+        throw new Error('watcher failed');
+    });
+    app.watch('a.b', function (value, oldValue, path) {
+        changed.push(path + '=' + value);
+    });
+
+    assert.doesNotThrow(function () {
+        app.set('a.b', 1);
+    });
+    assert.strictEqual(app.get('a.b'), 1);
+    assert.deepStrictEqual(changed, ['a.b=1']);
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].type, 'watcher');
+});
@@ -0,0 +1,58 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('values are escaped unless raw output is requested', function () {
+    var app = helpers.create().app;
+    var data = {html: '<b title="x">&</b>'};
+
+    assert.strictEqual(app.template('{{html}}')(data), '&lt;b title&#61;&quot;x&quot;&gt;&amp;&lt;/b&gt;');
+    assert.strictEqual(app.template('{{{html}}}')(data), '<b title="x">&</b>');
+    assert.strictEqual(app.template('{{& html}}')(data), '<b title="x">&</b>');
+});
+
+test('each loops over arrays and objects with index and else', function () {
+    var app = helpers.create().app;
+    var list = app.template('<ul>{{#each items}}<li>{{@index}}:{{name}}</li>{{else}}empty{{/each}}</ul>');
+    var object = app.template('{{#each prices}}{{@key}}={{this}};{{/each}}');
+
+    assert.strictEqual(list({items: [{name: 'a'}, {name: 'b'}]}), '<ul><li>0:a</li><li>1:b</li></ul>');
+    assert.strictEqual(list({items: []}), '<ul>empty</ul>');
+    assert.strictEqual(object({prices: {tea: 2, coffee: 3}}), 'tea=2;coffee=3;');
+});
+
+test('conditions, with blocks and comments', function () {
+    var app = helpers.create().app;
+    var template = app.template('{{! greeting }}{{#if user}}{{#with user}}Hi {{name}}{{/with}}' +
+        '{{else}}Guest{{/if}}{{#unless admin}}!{{/unless}}');
+
+    assert.strictEqual(template({user: {name: 'Jan'}}), 'Hi Jan!');
+    assert.strictEqual(template({admin: true}), 'Guest');
+});
+
+test('missing paths are looked up in data store', function () {
+    var app = helpers.create().app;
+
+    app.set('site.name', 'Shop');
+
+    assert.strictEqual(app.template('{{site.name}} {{title}}')({title: 'Cart'}), 'Shop Cart');
+});
+
+test('partials are rendered by name from registered templates and script elements', function () {
+    var app = helpers.create({
+        html: '<!DOCTYPE html><html><head></head><body>' +
+            '<script type="text/template" id="price">{{value}} Kč</script></body></html>'
+    }).app;
+
+    app.template('item', '<li>{{name}}: {{> price}}</li>');
+    app.template('list', '{{#each items}}{{> item}}{{/each}}');
+
+    assert.strictEqual(app.render('list', {items: [{name: 'Tea', value: 2}]}), '<li>Tea: 2 Kč</li>');
+});
+
+test('sources named like object properties are compiled', function () {
+    var app = helpers.create().app;
+
+    assert.strictEqual(app.template('constructor')({}), 'constructor');
+    assert.strictEqual(app.template('toString')({}), 'toString');
+});
@@ -0,0 +1,68 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var path = require('path');
+var helpers = require('./helpers');
+
+test('require exports App without DOM and globals', function () {
+    var App = require('../src/app.js');
+
+    assert.strictEqual(typeof App, 'function');
+    assert.strictEqual(global.App, undefined);
+    assert.deepStrictEqual(App.extend({a: 1}, {b: 2}), {a: 1, b: 2});
+    assert.strictEqual(App.getOrSet({a: {b: 1}}, 'a.b'), 1);
+    assert.deepStrictEqual(App.parseCamelCase('fooBar'), ['foo', 'bar']);
+});
+
+test('instance works without DOM', function () {
+    var App = require('../src/app.js');
+    var app = App.create('node');
+
+    app.set('a.b', 1);
+
+    assert.strictEqual(app.get('a.b'), 1);
+    assert.strictEqual(typeof app.getUID(), 'string');
+});
+
+test('default instance leaves error handlers of Node alone', function () {
+    var App = require('../src/app.js');
+    var app = new App();
+
+    assert.strictEqual(app.appready, true);
+    assert.strictEqual(global.onerror, undefined);
+});
+
+test('import exports App and pure utilities', async function () {
+    var module = await import(path.join(__dirname, '..', 'src', 'app.mjs'));
+
+    assert.strictEqual(module.default, require('../src/app.js'));
+    assert.strictEqual(module.extend, module.default.extend);
+    assert.strictEqual(module.getOrSet({a: [1]}, 'a[0]'), 1);
+});
+
+test('AMD defines module and still assigns the global', function () {
+    var defined = {};
+    var window = helpers.browser({
+        before: function (window) {
+            window.define = function (name, deps, factory) {
+                defined[name] = factory();
+            };
+            window.define.amd = {};
+        }
+    });
+
+    assert.strictEqual(typeof window.App, 'function');
+    assert.strictEqual(defined['app-js'], window.App);
+});
+
+test('script tag exposes global App which replays the loader stub queue', function () {
+    var window = helpers.browser({
+        before: function (window) {
+            helpers.stub(window);
+            window.app('foo.bar', 'baz');
+        }
+    });
+
+    window.app = new window.App();
+
+    assert.strictEqual(window.app.get('foo.bar'), 'baz');
+});
@@ -0,0 +1,184 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var vm = require('vm');
+var App = require('../src/app.js');
+var helpers = require('./helpers');
+
+test('deepExtend merges nested plain objects and arrays', function () {
+    var out = App.deepExtend({a: {b: 1, list: [1, 2]}}, {a: {c: 2, list: [3]}}, {d: 4});
+
+    assert.deepStrictEqual(out, {a: {b: 1, c: 2, list: [3, 2]}, d: 4});
+});
+
+test('deepExtend merges into given class instance', function () {
+    var Config = function () {
+        this.a = 1;
+    };
+    var config = new Config();
+    var out = App.deepExtend(config, {b: {c: 2}});
+
+    assert.strictEqual(out, config);
+    assert.ok(out instanceof Config);
+    assert.deepStrictEqual(out.b, {c: 2});
+    assert.strictEqual(out.a, 1);
+});
+
+test('deepExtend copies nested class instances by reference and clones dates', function () {
+    var Point = function () {};
+    var point = new Point();
+    var date = new Date(0);
+    var out = App.deepExtend({}, {a: {b: point, date: date}});
+
+    assert.strictEqual(out.a.b, point);
+    assert.notStrictEqual(out.a.date, date);
+    assert.strictEqual(out.a.date.getTime(), 0);
+});
+
+test('deepExtend keeps null and cycles', function () {
+    var source = {a: null};
+
+    source.self = source;
+
+    var out = App.deepExtend({}, source);
+
+    assert.strictEqual(out.a, null);
+    assert.strictEqual(out.self, out);
+});
+
+test('deepExtend and extend skip prototype keys', function () {
+    var out = App.deepExtend({}, JSON.parse('{"__proto__": {"polluted": 1}, "a": {"constructor": {"prototype": {"polluted": 1}}}}'));
+
+    App.extend({}, JSON.parse('{"__proto__": {"polluted": 1}}'));
+
+    assert.strictEqual(({}).polluted, undefined);
+    assert.deepStrictEqual(out, {a: {}});
+});
+
+test('merge strategies of arrays', function () {
+    assert.deepStrictEqual(App.merge({list: [1, 2]}, {list: [3]}), {list: [3, 2]});
+    assert.deepStrictEqual(App.merge({list: [1, 2]}, {list: [3]}, {arrays: 'concat'}), {list: [1, 2, 3]});
+    assert.deepStrictEqual(App.merge({list: [1, 2]}, {list: [3]}, {arrays: 'replace'}), {list: [3]});
+});
+
+test('merge calls custom merge per key', function () {
+    var out = App.merge({handlers: ['a'], name: 'x'}, {handlers: ['b'], name: 'y'}, {
+        merge: function (value, source, key, path) {
+            return path === 'handlers' ? value.concat(source) : undefined;
+        }
+    });
+
+    assert.deepStrictEqual(out, {handlers: ['a', 'b'], name: 'y'});
+});
+
+test('each handles arrays and objects and stops on false', function () {
+    var visited = [];
+
+    App.each([1, 2, 3], function (value) {
+        visited.push(value);
+
+        return value !== 2;
+    });
+    App.each({a: 1, b: 2}, function (value, key) {
+        visited.push(key);
+    });
+
+    assert.deepStrictEqual(visited, [1, 2, 'a', 'b']);
+    assert.strictEqual(App['for'], App.each);
+});
+
+test('collection functions accept objects and property names', function () {
+    var users = [{name: 'a', role: 'admin'}, {name: 'b', role: 'editor'}, {name: 'c', role: 'admin'}];
+
+    assert.deepStrictEqual(App.map({a: 1, b: 2}, function (value, key) {
+        return key + value;
+    }), ['a1', 'b2']);
+    assert.deepStrictEqual(App.map(users, 'name'), ['a', 'b', 'c']);
+    assert.deepStrictEqual(App.filter({a: 1, b: 2, c: 3}, function (value) {
+        return value > 1;
+    }), [2, 3]);
+    assert.strictEqual(App.reduce([1, 2, 3], function (sum, value) {
+        return sum + value;
+    }), 6);
+    assert.strictEqual(App.find(users, function (user) {
+        return user.role === 'editor';
+    }).name, 'b');
+    assert.strictEqual(App.some(users, 'role'), true);
+    assert.strictEqual(App.every({a: 1, b: 0}), false);
+    assert.deepStrictEqual(App.keys({a: 1, b: 2}), ['a', 'b']);
+    assert.deepStrictEqual(App.values({a: 1, b: 2}), [1, 2]);
+    assert.deepStrictEqual(App.map(App.groupBy(users, 'role').admin, 'name'), ['a', 'c']);
+    assert.deepStrictEqual(App.uniq([1, 2, 1, 3, 2]), [1, 2, 3]);
+    assert.deepStrictEqual(App.map(App.uniq(users, 'role'), 'name'), ['a', 'b']);
+});
+
+test('debounce invokes once after calls stop', async function () {
+    var calls = [];
+    var debounced = App.debounce(function (value) {
+        calls.push(value);
+    }, 20);
+
+    debounced(1);
+    debounced(2);
+
+    await new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+    });
+
+    assert.deepStrictEqual(calls, [2]);
+});
+
+test('throttle invokes at most once per wait', async function () {
+    var calls = [];
+    var throttled = App.throttle(function (value) {
+        calls.push(value);
+    }, 30);
+
+    throttled(1);
+    throttled(2);
+    throttled(3);
+
+    assert.deepStrictEqual(calls, [1]);
+
+    await new Promise(function (resolve) {
+        setTimeout(resolve, 60);
+    });
+
+    assert.deepStrictEqual(calls, [1, 3]);
+});
+
+test('each and map handle host collections', function () {
+    var app = helpers.create().app;
+    var tags = app.map(app.parseHtml('<i></i><b></b>'), 'tagName');
+
+    assert.strictEqual(tags.join(), 'I,B');
+    assert.strictEqual(app.indexOf(app.parseHtml('<i></i>'), null), -1);
+});
+
+test('plain objects with length are not array-like', function () {
+    assert.deepStrictEqual(App.keys({length: 1, a: 2}), ['length', 'a']);
+    assert.deepStrictEqual(App.map({length: 2}, function (value) {
+        return value;
+    }), [2]);
+    assert.strictEqual(App.indexOf({length: 1, 0: 'a'}, 'a'), -1);
+});
+
+test('arrays and arguments are array-like', function () {
+    (function () {
+        assert.deepStrictEqual(App.keys(arguments), ['0', '1']);
+        assert.strictEqual(App.indexOf(arguments, 'b'), 1);
+    }('a', 'b'));
+
+    assert.deepStrictEqual(App.map([1, 2], function (value) {
+        return value * 2;
+    }), [2, 4]);
+});
+
+test('plain objects of another realm are plain', function () {
+    var foreign = vm.runInNewContext('({length: 1, a: {b: 1}, point: new (function Point() {})()})');
+    var out = App.deepExtend({}, foreign);
+
+    assert.strictEqual(App.keys(foreign).join(), 'length,a,point');
+    assert.notStrictEqual(out.a, foreign.a);
+    assert.strictEqual(out.a.b, 1);
+    assert.strictEqual(out.point, foreign.point);
+});